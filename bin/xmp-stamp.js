@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+const { run } = require('../lib/cli');
+const { exiftool } = require('../lib/exiftool');
+
+run(process.argv.slice(2))
+  .then((code) => { process.exitCode = code; })
+  .finally(() => exiftool.end());
@@ -0,0 +1,158 @@
+/**
+ * https://www.npmjs.com/package/exiftool-vendored
+ * Docs: https://photostructure.github.io/exiftool-vendored.js/modules.html
+ *
+ * Stamps files with an id and signature as xmp tags of our own namespace (see
+ * lib/schema.js), see lib/formats for the supported formats.
+ *
+ * The library runs its own ExifTool instance with the bundled config (see
+ * lib/exiftool.js), no EXIFTOOL_HOME is needed.
+ *
+ * NOTE: `exiftool.end()` has to be called once done, otherwise the process
+ * will not exit
+ */
+const { generateChecksum } = require('./lib/checksum');
+const { contentDigest, contentDigestFile } = require('./lib/digest');
+const { FORMATS, SUPPORTED_EXTENSIONS, detectFormat, detectFormatFile, formatForMimeType } = require('./lib/formats');
+const { NAMESPACE, STAMP_SCHEMA, generateExifToolConfig } = require('./lib/schema');
+const { CONFIG_PATH, createExifTool, ensureStampTags } = require('./lib/exiftool');
+const {
+  STAMP_TAGS,
+  STAMP_POLICY,
+  defaultAdditionalWriteArgs,
+  exiftool,
+  stampFile,
+  stampSidecar,
+  locateStamp,
+  readStamp,
+  clearStamp,
+  unstamp,
+} = require('./lib/stamp');
+const { SIDECAR_EXTENSION, sidecarPath } = require('./lib/sidecar');
+const { readPdfXmp, appendXmpUpdate } = require('./lib/pdf');
+const { InvalidBufferError, stampBuffer, readStampBuffer, createStampStream } = require('./lib/buffer');
+const {
+  signAndStampFile,
+  signAndStampSidecar,
+  signAndStampBuffer,
+  createSignAndStampStream,
+  signingMessage,
+  stampHash,
+  verifyFile,
+} = require('./lib/signing');
+const { verifyChain } = require('./lib/chain');
+const {
+  exportC2paManifest,
+  importC2paManifest,
+  embedC2paManifest,
+  readC2paManifest,
+  readC2paManifestFile,
+  removeC2paManifest,
+} = require('./lib/c2pa');
+const { loadTrustAnchors, verifyC2paFile } = require('./lib/trust');
+const { KEY_USAGES, keyUsage, encodeCertificateChain, decodeCertificateChain, loadTrustStore, verifyCertificateChain } = require('./lib/x509');
+const { verifyTimestampToken, requestTimestamp, createHttpTsa, createLocalTsa } = require('./lib/tsa');
+const { KEY_STATUS, createKeyring, loadKeyring } = require('./lib/keyring');
+const { rotateFile } = require('./lib/rotate');
+const {
+  REVOCATION_TYPE,
+  signRevocationList,
+  verifyRevocationList,
+  loadRevocationList,
+  addRevocations,
+  checkRevocation,
+} = require('./lib/revocation');
+const { createKmsSigner, createLocalSigner, loadLocalSigner } = require('./lib/signers');
+const { stampDirectory, readManifest } = require('./lib/batch');
+const { LEDGER_STATUS, createJsonlLedger, checkFileAgainstLedger } = require('./lib/ledger');
+const { DIFFERENCE, diagnose } = require('./lib/diagnose');
+const { diffTags } = require('./lib/audit');
+const { verificationReport } = require('./lib/report');
+const { DEFAULT_MAX_BODY_SIZE, createStampServer } = require('./lib/server');
+const cli = require('./lib/cli');
+
+module.exports = {
+  NAMESPACE,
+  STAMP_SCHEMA,
+  STAMP_TAGS,
+  STAMP_POLICY,
+  generateExifToolConfig,
+  defaultAdditionalWriteArgs,
+  CONFIG_PATH,
+  createExifTool,
+  ensureStampTags,
+  exiftool,
+  generateChecksum,
+  contentDigest,
+  contentDigestFile,
+  FORMATS,
+  SUPPORTED_EXTENSIONS,
+  detectFormat,
+  detectFormatFile,
+  formatForMimeType,
+  stampFile,
+  stampSidecar,
+  locateStamp,
+  readStamp,
+  clearStamp,
+  unstamp,
+  SIDECAR_EXTENSION,
+  sidecarPath,
+  readPdfXmp,
+  appendXmpUpdate,
+  InvalidBufferError,
+  stampBuffer,
+  readStampBuffer,
+  createStampStream,
+  signAndStampFile,
+  signAndStampSidecar,
+  signAndStampBuffer,
+  createSignAndStampStream,
+  signingMessage,
+  stampHash,
+  verifyFile,
+  verifyChain,
+  exportC2paManifest,
+  importC2paManifest,
+  embedC2paManifest,
+  readC2paManifest,
+  readC2paManifestFile,
+  removeC2paManifest,
+  loadTrustAnchors,
+  verifyC2paFile,
+  KEY_USAGES,
+  keyUsage,
+  encodeCertificateChain,
+  decodeCertificateChain,
+  loadTrustStore,
+  verifyCertificateChain,
+  verifyTimestampToken,
+  requestTimestamp,
+  createHttpTsa,
+  createLocalTsa,
+  KEY_STATUS,
+  createKeyring,
+  loadKeyring,
+  rotateFile,
+  REVOCATION_TYPE,
+  signRevocationList,
+  verifyRevocationList,
+  loadRevocationList,
+  addRevocations,
+  checkRevocation,
+  createKmsSigner,
+  createLocalSigner,
+  loadLocalSigner,
+  stampDirectory,
+  readManifest,
+  LEDGER_STATUS,
+  createJsonlLedger,
+  checkFileAgainstLedger,
+  DIFFERENCE,
+  diagnose,
+  diffTags,
+  verificationReport,
+  DEFAULT_MAX_BODY_SIZE,
+  createStampServer,
+  cli,
+};
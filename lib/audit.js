@@ -0,0 +1,60 @@
+/**
+ * Before / after tag diff of a stamped file, for an audit to show what
+ * stamping changed: the stamp's own tags (XMP-xmpStamp), and nothing else.
+ *
+ * Tags are read raw by exiftool with their family 1 group (`IFD0:Make`,
+ * `IPTC:Keywords`, `XMP-dc:Rights`...). The groups that don't come from the
+ * file's metadata (its name and dates on disk, sizes, values computed from
+ * other tags) are left out.
+ */
+const { exiftool } = require('./exiftool');
+
+// =============================================================================
+// Const
+// =============================================================================
+const IGNORED_GROUPS = ['System', 'File', 'ExifTool', 'Composite'];
+const IGNORED_KEYS = ['SourceFile', 'errors', 'warnings'];
+
+// =============================================================================
+// Functions
+// =============================================================================
+/**
+ * @returns {Promise<Object>} `Group:Tag` => value of every metadata tag of `path`
+ */
+const readAuditTags = async (path, et) => {
+  const raw = await et.readRaw(path, ['-G1', '-a']);
+  return Object.fromEntries(Object.entries(raw)
+    .filter(([key]) => !IGNORED_KEYS.includes(key) && !IGNORED_GROUPS.includes(key.split(':')[0])));
+}
+
+/**
+ * Compare the tags of `before` and `after`, e.g. a file and its stamped copy.
+ *
+ * NOTE: tags holding offsets in the file (e.g. `IFD0:StripOffsets` of a TIFF)
+ * change whenever exiftool rewrites it
+ *
+ * @returns {Promise<{added: Object, removed: Object, changed: Object}>}
+ * `Group:Tag` => value for the tags only in `after` / only in `before`, and
+ * `Group:Tag` => `{before, after}` for those whose value changed
+ */
+const diffTags = async (before, after, { exiftool: et = exiftool } = {}) => {
+  const [beforeTags, afterTags] = [await readAuditTags(before, et), await readAuditTags(after, et)];
+  const diff = { added: {}, removed: {}, changed: {} };
+
+  Object.entries(afterTags)
+    .filter(([key]) => !(key in beforeTags))
+    .forEach(([key, value]) => { diff.added[key] = value; });
+  Object.entries(beforeTags).forEach(([key, value]) => {
+    if (!(key in afterTags)) {
+      diff.removed[key] = value;
+    } else if (JSON.stringify(value) !== JSON.stringify(afterTags[key])) {
+      diff.changed[key] = { before: value, after: afterTags[key] };
+    }
+  });
+
+  return diff;
+}
+
+module.exports = {
+  diffTags,
+};
@@ -0,0 +1,221 @@
+/**
+ * Batch stamping of a directory tree into an output tree with the same layout.
+ *
+ * Files are stamped on an ExifTool process pool of `maxProcs` processes. Every
+ * stamped file is appended to a JSONL manifest (file -> id -> signature), which
+ * is also how a run picks up where a crashed one left off:
+ *
+ * - files in the manifest are skipped
+ * - each file is written to a `.partial` name first and renamed once complete,
+ *   so a leftover `.partial` is a crashed write and is thrown away
+ * - an output that exists but is not in the manifest (crash between the rename
+ *   and the manifest append) is added to the manifest from its stamp, never
+ *   stamped twice
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const { DefaultMaxProcs } = require("exiftool-vendored");
+
+const { createExifTool } = require('./exiftool');
+const { SUPPORTED_EXTENSIONS } = require('./formats');
+const { signAndStampFile } = require('./signing');
+const { readStamp } = require('./stamp');
+
+// =============================================================================
+// Const
+// =============================================================================
+const MANIFEST_NAME = 'manifest.jsonl';
+const PARTIAL_SUFFIX = '.partial';
+
+// =============================================================================
+// Functions
+// =============================================================================
+const exists = async (file) => {
+  try {
+    await fs.access(file);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * @returns {Promise<string[]>} paths relative to `dir` of the supported files
+ * under it, sorted, leaving out anything under `exclude`
+ */
+const listSupportedFiles = async (dir, exclude) => {
+  const files = [];
+
+  const walk = async (current) => {
+    if (exclude && path.resolve(current) === path.resolve(exclude)) {
+      return;
+    }
+
+    const entries = await fs.readdir(current, { withFileTypes: true });
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      const full = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        await walk(full);
+      } else if (entry.isFile() && SUPPORTED_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+        files.push(path.relative(dir, full));
+      }
+    }
+  }
+
+  await walk(dir);
+  return files;
+}
+
+/**
+ * `a/b.pdf` => `a/.b.partial.pdf`. The extension is kept, exiftool picks the
+ * output type from it
+ */
+const partialPath = (file) => {
+  const ext = path.extname(file);
+  return path.join(path.dirname(file), `.${path.basename(file, ext)}${PARTIAL_SUFFIX}${ext}`);
+}
+
+/**
+ * @returns {Promise<Object[]>} the manifest entries, an incomplete last line
+ * (crash while appending) is ignored
+ */
+const readManifest = async (manifest) => {
+  let text;
+  try {
+    text = await fs.readFile(manifest, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      return [];
+    }
+    throw e;
+  }
+
+  return text.split('\n').filter(Boolean).reduce((entries, line) => {
+    try {
+      entries.push(JSON.parse(line));
+    } catch (e) {
+      // Incomplete line, the file is recovered from its output
+    }
+    return entries;
+  }, []);
+}
+
+/**
+ * Drop an incomplete last line (crash while appending), so the next append
+ * starts on its own line
+ */
+const truncateIncompleteLine = async (manifest) => {
+  let text;
+  try {
+    text = await fs.readFile(manifest, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      return;
+    }
+    throw e;
+  }
+
+  if (text.length > 0 && !text.endsWith('\n')) {
+    await fs.writeFile(manifest, text.slice(0, text.lastIndexOf('\n') + 1));
+  }
+}
+
+/**
+ * Stamp every supported file under `inputDir` into `outputDir`
+ *
+ * @param {{
+ *   signer: import('./signers').Signer,
+ *   tsa?: import('./tsa').Tsa,
+ *   ledger?: import('./ledger').Ledger,
+ *   policy?: string,
+ *   maxProcs?: number,
+ *   manifest?: string,
+ *   onProgress?: (event: {type: 'stamped' | 'recovered' | 'skipped' | 'failed', file: string, entry?: Object, error?: Error}) => void,
+ * }} options `manifest` defaults to `<outputDir>/manifest.jsonl`. Stamped
+ * files are recorded in the `ledger` if any, recovered ones already were.
+ * `policy` applies to input files already stamped, see stampFile. With a
+ * `tsa`, each signature is time-stamped (see ./tsa)
+ * @returns {Promise<{stamped: Object[], recovered: Object[], skipped: string[], failed: {file: string, error: Error}[]}>}
+ */
+const stampDirectory = async (inputDir, outputDir, {
+  signer,
+  tsa,
+  ledger,
+  policy,
+  maxProcs = DefaultMaxProcs,
+  manifest = path.join(outputDir, MANIFEST_NAME),
+  onProgress = () => {},
+}) => {
+  await truncateIncompleteLine(manifest);
+  const done = new Set((await readManifest(manifest)).map((entry) => entry.file));
+  const files = await listSupportedFiles(inputDir, outputDir);
+  const result = { stamped: [], recovered: [], skipped: [], failed: [] };
+
+  await fs.mkdir(path.dirname(manifest), { recursive: true });
+  const record = async (entry) => {
+    await fs.appendFile(manifest, `${JSON.stringify(entry)}\n`);
+  }
+
+  const processFile = async (file, et) => {
+    if (done.has(file)) {
+      result.skipped.push(file);
+      onProgress({ type: 'skipped', file });
+      return;
+    }
+
+    const input = path.join(inputDir, file);
+    const output = path.join(outputDir, file);
+    const partial = partialPath(output);
+    await fs.mkdir(path.dirname(output), { recursive: true });
+    await fs.rm(partial, { force: true });
+
+    if (await exists(output)) {
+      const stamp = await readStamp(output, { exiftool: et });
+      if (!stamp || !stamp.signature) {
+        throw new Error(`${output} exists but is not stamped`);
+      }
+      const entry = { file, output, ...stamp };
+      await record(entry);
+      result.recovered.push(entry);
+      onProgress({ type: 'recovered', file, entry });
+      return;
+    }
+
+    const stamp = await signAndStampFile(input, partial, { signer, tsa, ledger, policy, exiftool: et });
+    await fs.rename(partial, output);
+
+    const entry = { file, output, ...stamp };
+    await record(entry);
+    result.stamped.push(entry);
+    onProgress({ type: 'stamped', file, entry });
+  }
+
+  const et = createExifTool({ maxProcs });
+  try {
+    const queue = [...files];
+    const worker = async () => {
+      while (queue.length > 0) {
+        const file = queue.shift();
+        try {
+          await processFile(file, et);
+        } catch (error) {
+          result.failed.push({ file, error });
+          onProgress({ type: 'failed', file, error });
+        }
+      }
+    }
+    await Promise.all(Array.from({ length: Math.max(1, maxProcs) }, worker));
+  } finally {
+    await et.end();
+  }
+
+  return result;
+}
+
+module.exports = {
+  SUPPORTED_EXTENSIONS,
+  MANIFEST_NAME,
+  listSupportedFiles,
+  readManifest,
+  stampDirectory,
+};
@@ -0,0 +1,160 @@
+/**
+ * Stamping in memory: a Buffer in, the stamped Buffer out, or a Transform
+ * stream for upload pipelines, without writing the file to disk.
+ *
+ * The formats that read / write the stamp in JS (see ./formats) do it on the
+ * buffer. The other formats still go through exiftool, which only works on
+ * files: they are written to a temporary directory that is removed afterwards.
+ */
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { Transform } = require('stream');
+const uuid = require('uuid');
+
+const { formatForMimeType } = require('./formats');
+const { c2paFormat } = require('./c2pa');
+const { incrementalPdfFormat, incrementalByteRange } = require('./pdf');
+const { STAMP_POLICY, writeStampBuffer, stampFile, readStamp } = require('./stamp');
+
+// =============================================================================
+// Classes
+// =============================================================================
+/**
+ * The buffer could not be read or stamped: it is corrupt, or a variant of its
+ * format that is not supported. Thrown with the message of the error it stands for
+ */
+class InvalidBufferError extends Error {}
+
+// =============================================================================
+// Functions
+// =============================================================================
+/**
+ * @returns {Promise<*>} what `fn` resolves to, its errors as InvalidBufferError
+ */
+const readingBuffer = async (fn) => {
+  try {
+    return await fn();
+  } catch (e) {
+    throw e instanceof InvalidBufferError ? e : new InvalidBufferError(e.message);
+  }
+}
+
+/**
+ * @returns {import('./formats').Format} the format of `mimeType`, checked
+ * against the buffer's own signature
+ */
+const checkedFormat = (buffer, mimeType) => {
+  const format = formatForMimeType(mimeType);
+  if (!format) {
+    throw new Error(`Unsupported mime type: ${mimeType}`);
+  }
+  if (!format.detect(buffer)) {
+    throw new Error(`The buffer is not a valid ${format.name.toUpperCase()} (${mimeType})`);
+  }
+  return format;
+}
+
+/**
+ * Run `fn` on `buffer` written to a temporary file, for what only exiftool can do
+ */
+const withTempFile = async (buffer, format, fn) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'xmp-stamp-'));
+  try {
+    const file = path.join(dir, `input${format.extensions[0]}`);
+    await fs.writeFile(file, buffer);
+    return await fn(file, dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Same as stampFile, on a buffer of the given mime type. The input buffer is
+ * never modified. A buffer that can't be stamped rejects with an InvalidBufferError
+ *
+ * @returns {Promise<{buffer: Buffer, stamp: import('./stamp').Stamp}>} the
+ * stamped copy and the stamp that was written
+ */
+const stampBuffer = async (buffer, mimeType, { id = uuid.v4(), ...fields } = {}, { policy = STAMP_POLICY.OVERWRITE, c2pa = false, incremental = false, exiftool } = {}) => {
+  if (!fields.signature) {
+    throw new Error('A signature is required to stamp a file');
+  }
+
+  const stamp = { id, ...fields };
+  const format = checkedFormat(buffer, mimeType);
+
+  return readingBuffer(async () => {
+    if (incremental && format.name === incrementalPdfFormat.name) {
+      const written = { ...stamp, byteRange: stamp.byteRange || incrementalByteRange(buffer) };
+      return { buffer: await writeStampBuffer(buffer, incrementalPdfFormat, 'The buffer', written, { policy, c2pa }), stamp: written };
+    }
+    if (format.writeStamp || c2pa) {
+      return { buffer: await writeStampBuffer(buffer, c2pa ? c2paFormat(buffer) : format, 'The buffer', stamp, { policy, c2pa }), stamp };
+    }
+
+    return withTempFile(buffer, format, async (input, dir) => {
+      const output = path.join(dir, `output${format.extensions[0]}`);
+      await stampFile(input, output, stamp, { policy, exiftool });
+      return { buffer: await fs.readFile(output), stamp };
+    });
+  });
+}
+
+/**
+ * @returns {Promise<import('./stamp').Stamp | undefined>} the stamp embedded
+ * in `buffer`, undefined if not stamped. A buffer that can't be read rejects
+ * with an InvalidBufferError
+ */
+const readStampBuffer = async (buffer, mimeType, { exiftool } = {}) => {
+  const format = checkedFormat(buffer, mimeType);
+
+  return readingBuffer(() => (format.readStamp
+    ? format.readStamp(buffer)
+    : withTempFile(buffer, format, (input) => readStamp(input, { exiftool }))));
+}
+
+/**
+ * A Transform stream built on `stamp(buffer)`: the input is collected, as the
+ * stamp can only be written once the whole file is known, and the stamped copy
+ * is pushed at the end. The stamp that was written is emitted as `stamp`
+ *
+ * @param {(buffer: Buffer) => Promise<{buffer: Buffer, stamp: import('./stamp').Stamp}>} stamp
+ * @returns {Transform}
+ */
+const createBufferingStampStream = (stamp) => {
+  const chunks = [];
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    },
+    flush(callback) {
+      stamp(Buffer.concat(chunks)).then((stamped) => {
+        this.emit('stamp', stamped.stamp);
+        callback(null, stamped.buffer);
+      }, callback);
+    },
+  });
+}
+
+/**
+ * stampBuffer as a Transform stream, e.g.
+ * `upload.pipe(createStampStream('image/png', stamp)).pipe(storage)`
+ *
+ * @returns {Transform} emits `stamp` with the stamp that was written
+ */
+const createStampStream = (mimeType, fields, options) => {
+  return createBufferingStampStream((buffer) => stampBuffer(buffer, mimeType, fields, options));
+}
+
+module.exports = {
+  InvalidBufferError,
+  readingBuffer,
+  withTempFile,
+  stampBuffer,
+  readStampBuffer,
+  createBufferingStampStream,
+  createStampStream,
+};
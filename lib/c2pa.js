@@ -0,0 +1,194 @@
+/**
+ * C2PA-style manifest of a stamp, for partners working with content
+ * provenance standards: the stamp (id, content digest, signature, algorithm,
+ * key id, signing time) as a JSON manifest that can be exported, imported back
+ * into the very same stamp, and embedded in JPEG / PNG as a JUMBF manifest
+ * store (see ./jumbf) next to the xmp stamp.
+ *
+ * It is C2PA-like, not C2PA: the signature is the stamp's own, over the stamp
+ * fields (see signingMessage in ./signing) instead of a COSE signature over a
+ * claim, and the hash is the stamp's content digest (see ./digest).
+ */
+const fs = require('fs').promises;
+
+const { FORMATS, detectFormat } = require('./formats');
+const { box, superbox, parseSuperbox } = require('./jumbf');
+
+// =============================================================================
+// Const
+// =============================================================================
+const CLAIM_GENERATOR = 'xmp-stamp/1.0';
+
+// JUMBF content types: C2PA manifest store, standard manifest, JSON
+const MANIFEST_STORE_UUID = '63327061-0011-0010-8000-00aa00389b71';
+const MANIFEST_UUID = '63326d61-0011-0010-8000-00aa00389b71';
+const JSON_UUID = '6a736f6e-0011-0010-8000-00aa00389b71';
+
+const MANIFEST_STORE_LABEL = 'c2pa';
+const MANIFEST_JSON_LABEL = 'xmpStamp.manifest';
+
+const ASSERTION = {
+  // The content digest, base64 as in C2PA hash assertions
+  HASH: 'c2pa.hash.data',
+  // The hash of the stamp before, see ./chain
+  CHAIN: 'xmpStamp.chain',
+};
+
+// Stamp algorithm (KMS SigningAlgorithmSpec style) => C2PA name
+const ALGORITHMS = {
+  RSASSA_PSS_SHA_256: 'ps256',
+  RSASSA_PSS_SHA_384: 'ps384',
+  RSASSA_PSS_SHA_512: 'ps512',
+  ECDSA_SHA_256: 'es256',
+  ECDSA_SHA_384: 'es384',
+  ECDSA_SHA_512: 'es512',
+  ED25519: 'ed25519',
+};
+
+const URN_UUID_RE = /^urn:uuid:(.+)$/;
+
+// =============================================================================
+// Functions
+// =============================================================================
+const withoutUndefined = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+
+/**
+ * @param {import('./stamp').Stamp} stamp
+ * @param {{format?: string}} options the mime type of the stamped file
+ * @returns {Object} the C2PA-style manifest of `stamp` (its history left out)
+ */
+const exportC2paManifest = (stamp, { format } = {}) => {
+  const assertions = [];
+  if (stamp.digest !== undefined) {
+    assertions.push({
+      label: ASSERTION.HASH,
+      data: { name: 'content digest', alg: 'sha512', hash: Buffer.from(stamp.digest, 'hex').toString('base64') },
+    });
+  }
+  if (stamp.previous !== undefined) {
+    assertions.push({ label: ASSERTION.CHAIN, data: { previous: stamp.previous } });
+  }
+
+  return withoutUndefined({
+    claim_generator: CLAIM_GENERATOR,
+    label: `urn:uuid:${stamp.id}`,
+    format,
+    assertions,
+    signature_info: withoutUndefined({
+      alg: ALGORITHMS[stamp.algorithm] || stamp.algorithm,
+      key_id: stamp.keyId,
+      time: stamp.signedAt,
+      // The certificate chain, base64 DER, the signer's first (see ./x509)
+      x5chain: stamp.certificate && stamp.certificate.split(','),
+      signature: stamp.signature,
+      // The RFC 3161 time-stamp token of the signature, base64 DER (see ./tsa)
+      sigTst: stamp.timestamp,
+    }),
+  });
+}
+
+/**
+ * @returns {import('./stamp').Stamp} the stamp `manifest` was exported from
+ */
+const importC2paManifest = (manifest) => {
+  const label = manifest && URN_UUID_RE.exec(manifest.label);
+  if (!label) {
+    throw new Error('Invalid C2PA manifest: the label is not a urn:uuid');
+  }
+  const signatureInfo = manifest.signature_info || {};
+  if (!signatureInfo.signature) {
+    throw new Error('Invalid C2PA manifest: no signature');
+  }
+
+  const assertion = (name) => (manifest.assertions || []).find((candidate) => candidate.label === name);
+  const hash = assertion(ASSERTION.HASH);
+  const chain = assertion(ASSERTION.CHAIN);
+  const algorithm = Object.keys(ALGORITHMS).find((key) => ALGORITHMS[key] === signatureInfo.alg) || signatureInfo.alg;
+
+  return withoutUndefined({
+    id: label[1],
+    signature: signatureInfo.signature,
+    algorithm,
+    keyId: signatureInfo.key_id,
+    signedAt: signatureInfo.time,
+    certificate: signatureInfo.x5chain && signatureInfo.x5chain.join(','),
+    digest: hash && Buffer.from(hash.data.hash, 'base64').toString('hex'),
+    previous: chain && chain.data.previous,
+    timestamp: signatureInfo.sigTst,
+  });
+}
+
+/**
+ * @returns {Buffer} a JUMBF manifest store holding `manifest` as JSON
+ */
+const c2paJumbf = (manifest) => {
+  const json = superbox(JSON_UUID, MANIFEST_JSON_LABEL, [box('json', Buffer.from(JSON.stringify(manifest), 'utf8'))]);
+  return superbox(MANIFEST_STORE_UUID, MANIFEST_STORE_LABEL, [superbox(MANIFEST_UUID, manifest.label, [json])]);
+}
+
+/**
+ * @returns {Object | undefined} the manifest of a JUMBF manifest store written
+ * by c2paJumbf, undefined for any other (e.g. a C2PA manifest of another tool)
+ */
+const parseC2paJumbf = (jumbf) => {
+  const store = parseSuperbox(jumbf);
+  if (store.uuid !== MANIFEST_STORE_UUID) {
+    return undefined;
+  }
+
+  // The active manifest is the last one
+  const manifests = store.boxes.filter(({ uuid }) => uuid === MANIFEST_UUID);
+  const active = manifests[manifests.length - 1];
+  const json = active && active.boxes.find(({ uuid, label }) => uuid === JSON_UUID && label === MANIFEST_JSON_LABEL);
+  const content = json && json.boxes.find(({ type }) => type === 'json');
+  return content ? JSON.parse(content.payload.toString('utf8')) : undefined;
+}
+
+/**
+ * @returns {import('./formats').Format} the format of `buffer`, if it can embed a manifest
+ */
+const c2paFormat = (buffer) => {
+  const format = detectFormat(buffer);
+  if (!format || !format.writeJumbf) {
+    const names = FORMATS.filter(({ writeJumbf }) => writeJumbf).map(({ name }) => name.toUpperCase());
+    throw new Error(`A C2PA manifest can only be embedded in ${names.join(' and ')}`);
+  }
+  return format;
+}
+
+/**
+ * @returns {Buffer} `buffer` with `manifest` embedded, in place of its manifest store if any
+ */
+const embedC2paManifest = (buffer, manifest) => c2paFormat(buffer).writeJumbf(buffer, c2paJumbf(manifest));
+
+/**
+ * @returns {Object | undefined} the manifest embedded in `buffer` by
+ * embedC2paManifest, if any
+ */
+const readC2paManifest = (buffer) => {
+  const format = detectFormat(buffer);
+  const jumbf = format && format.readJumbf ? format.readJumbf(buffer) : undefined;
+  return jumbf ? parseC2paJumbf(jumbf) : undefined;
+}
+
+const readC2paManifestFile = async (path) => readC2paManifest(await fs.readFile(path));
+
+/**
+ * @returns {Buffer} `buffer` without the manifest store embedded by
+ * embedC2paManifest, any other is kept
+ */
+const removeC2paManifest = (buffer) => {
+  return readC2paManifest(buffer) ? detectFormat(buffer).removeJumbf(buffer) : buffer;
+}
+
+module.exports = {
+  exportC2paManifest,
+  importC2paManifest,
+  c2paJumbf,
+  parseC2paJumbf,
+  c2paFormat,
+  embedC2paManifest,
+  readC2paManifest,
+  readC2paManifestFile,
+  removeC2paManifest,
+};
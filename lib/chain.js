@@ -0,0 +1,56 @@
+/**
+ * Chain of custody: a stamp and the earlier stamps kept in its history (see
+ * STAMP_POLICY.HISTORY in ./stamp), oldest first. Each signed stamp's
+ * `previous` is the hash of the stamp before it (see stampHash in ./signing),
+ * covered by its signature, so an earlier stamp can't be changed, dropped or
+ * reordered without breaking the chain.
+ */
+const { checkStampSignature, provenSigningTime, stampHash, stampedDigestFile } = require('./signing');
+const { locateStamp } = require('./stamp');
+
+// =============================================================================
+// Functions
+// =============================================================================
+/**
+ * Walk the chain of `path` from its oldest stamp to the current one, checking
+ * each signature and each link to the stamp before. The first stamp links to
+ * none, the current one's digest has to match the file
+ *
+ * @param {{signer?: import('./signers').Signer, signers?: import('./signers').Signer[], trustStore?: {roots: import('crypto').X509Certificate[]}, keyring?: import('./keyring').Keyring, tsaTrustStore?: {roots: import('crypto').X509Certificate[]}, exiftool?: import("exiftool-vendored").ExifTool}} options
+ * the `signers` of the chain, picked by key id (default: `[signer]`), or a
+ * `keyring` of the current and retired keys (see ./keyring), or a
+ * `trustStore` to check each stamp with the certificate it carries (see ./x509).
+ * With a `tsaTrustStore`, each stamp is checked at the time of its time-stamp
+ * token, as verifyFile does
+ * @returns {Promise<{stamped: boolean, valid: boolean, digestMatches: boolean, entries: {id: string, keyId?: string, signedAt?: string, signatureValid: boolean, linked: boolean}[]}>}
+ * `entries` oldest first, the current stamp last
+ */
+const verifyChain = async (path, { signer, signers = [signer], trustStore, keyring, tsaTrustStore, exiftool } = {}) => {
+  const located = await locateStamp(path, { exiftool });
+  if (!located) {
+    return { stamped: false, valid: false, digestMatches: false, entries: [] };
+  }
+
+  const { history = [], ...current } = located.stamp;
+  const chain = [...history, current];
+
+  const entries = [];
+  for (const [i, stamp] of chain.entries()) {
+    entries.push({
+      id: stamp.id,
+      keyId: stamp.keyId,
+      signedAt: stamp.signedAt,
+      signatureValid: (await checkStampSignature(stamp, { trustAnchors: signers, trustStore, keyring, at: provenSigningTime(stamp, tsaTrustStore) })).signatureValid,
+      linked: i === 0 ? stamp.previous === undefined : stamp.previous === stampHash(chain[i - 1]),
+    });
+  }
+
+  const digestMatches = current.digest === await stampedDigestFile(path, located);
+  const valid = digestMatches && entries.every(({ signatureValid, linked }) => signatureValid && linked);
+
+  return { stamped: true, valid, digestMatches, entries };
+}
+
+module.exports = {
+  verifyChain,
+};
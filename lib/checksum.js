@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+
+// =============================================================================
+// Functions
+// =============================================================================
+/**
+ * SHA-512 over the whole input, hex encoded.
+ *
+ * NOTE: This covers every byte of the file, including the embedded xmp packet,
+ * so the checksum changes whenever the stamp changes
+ */
+const generateChecksum = (str) => {
+  return crypto
+    .createHash('sha512')
+    .update(str, 'utf8')
+    .digest('hex');
+}
+
+module.exports = {
+  generateChecksum,
+};
@@ -0,0 +1,479 @@
+/**
+ * `xmp-stamp` command line tool, see bin/xmp-stamp.js.
+ *
+ * Commands take the arguments (without `node` and the script) and the streams
+ * to write to, and resolve with the process exit code, so they can be run
+ * in-process by the tests.
+ */
+const fs = require('fs').promises;
+const glob = require('glob');
+const util = require('util');
+const { KMSClient } = require("@aws-sdk/client-kms");
+
+const { stampDirectory } = require('./batch');
+const { loadKeyring } = require('./keyring');
+const { LEDGER_STATUS, createJsonlLedger } = require('./ledger');
+const { verificationReport } = require('./report');
+const { REVOCATION_TYPE, signRevocationList, loadRevocationList, addRevocations } = require('./revocation');
+const { rotateFile } = require('./rotate');
+const { DEFAULT_MAX_BODY_SIZE, createStampServer } = require('./server');
+const { createKmsSigner, createLocalSigner, loadLocalSigner } = require('./signers');
+const { STAMP_POLICY } = require('./stamp');
+const { createHttpTsa } = require('./tsa');
+const { loadTrustStore } = require('./x509');
+
+// =============================================================================
+// Const
+// =============================================================================
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: xmp-stamp <command> [options]
+
+Commands:
+  verify <files or globs...>   Check the stamp of each file
+    --ledger <file>            Also check each stamp against the ledger it was recorded in
+    --chain                    Also check the stamps in its history, and how each links to the one before
+    --trust-store <dir>        Check the certificate each stamp carries against the PEM roots in <dir>, instead of a signer
+    --keyring <file>           Check each stamp with the key of its key id in the keyring, current or retired, instead of a signer
+    --tsa-trust-store <dir>    Also check the time-stamp token of each stamp against the PEM TSA roots in <dir>
+    --revocation-list <src>    Also check each stamp and its key against the signed revocation list at <src>, a file or URL
+    --revocation-key <file>    PEM public key the revocation list is signed with (default: the signer or keyring keys)
+    --revocation-max-age <s>   Refuse a revocation list issued more than <s> seconds ago
+  stamp-dir <input> <output>   Stamp every supported file under <input> into <output>
+    --max-procs <n>            Number of ExifTool processes (default: 1/4 of the CPUs)
+    --manifest <file>          Manifest to record / resume from (default: <output>/manifest.jsonl)
+    --ledger <file>            Ledger to record the issued stamps in
+    --if-stamped <policy>      fail, overwrite or history, for files already stamped (default: history)
+    --tsa-url <url>            Time-stamp each signature with the RFC 3161 TSA at <url>
+  rotate <files or globs...>   Re-sign in place the files stamped with a retired key, with the current one (the signer)
+    --keyring <file>           Keyring the stamps are checked with, the signer being its current key (required)
+    --ledger <file>            Ledger to record the new stamps in
+    --tsa-url <url>            Time-stamp each new signature with the RFC 3161 TSA at <url>
+    --tsa-trust-store <dir>    Prove when each stamp was signed by its time-stamp token, checked against the PEM TSA roots in <dir>
+  revoke <list>                Add a revocation to the revocation list file <list> (created if missing), signed by the signer
+    --stamp <uuid>             Revoke the stamp of this id
+    --key <key id>             Revoke the stamps of this key, but the ones time-stamped before the revocation
+    --reason <text>            Why it is revoked
+    --revoked-at <date>        When it was revoked (default: now)
+  serve                        Serve POST /stamp, POST /verify and GET /stamps/:uuid over HTTP, until SIGINT / SIGTERM
+    --port <n>                 Port to listen on, 0 for any free one (default: 8080)
+    --host <host>              Address to listen on (default: 127.0.0.1)
+    --max-size <bytes>         Largest upload accepted (default: ${DEFAULT_MAX_BODY_SIZE})
+    --ledger <file>            Ledger to record the issued stamps in and look them up from
+    --trust-store <dir>        Verify with the certificate each stamp carries against the PEM roots in <dir>
+    --keyring <file>           Verify with the key of each stamp's key id in the keyring
+    --tsa-trust-store <dir>    Also verify the time-stamp token of each stamp against the PEM TSA roots in <dir>
+    --revocation-list <src>    Also check each stamp against the signed revocation list at <src>, as verify does
+    --revocation-max-age <s>   Refuse a revocation list issued more than <s> seconds ago
+    --if-stamped <policy>      fail, overwrite or history, for uploads already stamped (default: history)
+    --tsa-url <url>            Time-stamp each signature with the RFC 3161 TSA at <url>
+
+Signer options (one of):
+  --private-key <file>         PEM private key of a local signer
+  --public-key <file>          PEM public key of a local signer (verify only)
+  --kms-key-id <id>            AWS KMS key, with --kms-region <region>
+  --key-id <id>                Key id of the local signer (default: key fingerprint)
+  --certificate <file>         PEM certificate chain of the signer's key, stamped with each stamp
+
+Output options:
+  --json                       Print a JSON report instead of text
+`;
+
+const globAsync = util.promisify(glob);
+
+// =============================================================================
+// Classes
+// =============================================================================
+class UsageError extends Error {}
+
+// =============================================================================
+// Functions
+// =============================================================================
+/**
+ * Split `argv` into positionals and `--name value` / `--flag` options
+ *
+ * @param {string[]} flags options that take no value
+ */
+const parseArgs = (argv, flags = []) => {
+  const positionals = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const name = arg.slice(2);
+    if (flags.includes(name)) {
+      options[name] = true;
+    } else if (i + 1 < argv.length) {
+      options[name] = argv[++i];
+    } else {
+      throw new UsageError(`Missing value for ${arg}`);
+    }
+  }
+
+  return { positionals, options };
+}
+
+/**
+ * @returns {Promise<string[]>} the files matching each argument, in order and
+ * without duplicates. An argument without a match is kept as is, so it is
+ * reported as missing rather than silently skipped
+ */
+const expandFiles = async (patterns) => {
+  const files = [];
+  for (const pattern of patterns) {
+    const matches = glob.hasMagic(pattern) ? await globAsync(pattern, { nodir: true }) : [];
+    (matches.length > 0 ? matches.sort() : [pattern])
+      .filter((file) => !files.includes(file))
+      .forEach((file) => files.push(file));
+  }
+  return files;
+}
+
+/**
+ * @returns {Promise<import('./signers').Signer>} the signer described by the options
+ */
+const signerFromOptions = async (options) => {
+  if (options['private-key'] || options['public-key']) {
+    return loadLocalSigner({
+      privateKeyFile: options['private-key'],
+      publicKeyFile: options['public-key'],
+      certificateFile: options.certificate,
+      keyId: options['key-id'],
+    });
+  }
+  if (options['kms-key-id']) {
+    return createKmsSigner({
+      client: new KMSClient({ region: options['kms-region'] }),
+      keyId: options['kms-key-id'],
+      certificate: options.certificate && await fs.readFile(options.certificate),
+    });
+  }
+  throw new UsageError('One of --private-key, --public-key or --kms-key-id is required');
+}
+
+const formatEntry = (entry) => {
+  const problems = [];
+  if (entry.error) {
+    problems.push(entry.error);
+  } else if (!entry.stamped) {
+    problems.push('stamp missing');
+  } else {
+    if (entry.certificate && !entry.certificate.trusted) {
+      problems.push(`certificate untrusted: ${entry.certificate.error}`);
+    } else if (entry.key && entry.key.error) {
+      problems.push(`key: ${entry.key.error}`);
+    } else if (!entry.signatureValid) {
+      problems.push('signature invalid');
+    }
+    if (!entry.digestMatches) {
+      problems.push('content digest mismatch');
+    }
+    if (entry.timestamp && !entry.timestamp.valid) {
+      problems.push(`timestamp invalid: ${entry.timestamp.error}`);
+    }
+    if (entry.revocation && entry.revocation.revoked) {
+      const { type, reason, revokedAt } = entry.revocation;
+      problems.push(`revoked (${type}) at ${revokedAt}${reason ? `: ${reason}` : ''}`);
+    }
+    if (entry.chain && !entry.chain.every(({ signatureValid, linked }) => signatureValid && linked)) {
+      problems.push('history chain broken');
+    }
+    if (entry.ledger && entry.ledger !== LEDGER_STATUS.MATCH) {
+      problems.push(`ledger: ${entry.ledger}`);
+    }
+  }
+
+  return [
+    entry.ok ? 'PASS' : 'FAIL',
+    entry.file,
+    entry.id ? `id=${entry.id}` : undefined,
+    problems.join(', ') || undefined,
+  ].filter(Boolean).join('  ');
+}
+
+/**
+ * @returns {Promise<import('./revocation').RevocationList | undefined>} the
+ * `--revocation-list`, if given, checked with `--revocation-key` or else the
+ * keys the stamps are verified with
+ */
+const revocationListFromOptions = async (options, { signer, keyring }) => {
+  const source = options['revocation-list'];
+  if (!source) {
+    return undefined;
+  }
+
+  let signers = keyring ? keyring.keys.map((key) => key.signer) : [signer].filter(Boolean);
+  if (options['revocation-key']) {
+    signers = [createLocalSigner({ publicKey: await fs.readFile(options['revocation-key']) })];
+  }
+  if (signers.length === 0) {
+    throw new UsageError('--revocation-list needs the --revocation-key it is signed with');
+  }
+  const maxAge = positiveIntegerOption(options, 'revocation-max-age');
+  return loadRevocationList(source, { signers, maxAge: maxAge && maxAge * 1000 });
+}
+
+const verifyCommand = async (argv, { stdout }) => {
+  const { positionals, options } = parseArgs(argv, ['json', 'chain']);
+  if (positionals.length === 0) {
+    throw new UsageError('No files to verify');
+  }
+
+  const trustStore = options['trust-store'] && await loadTrustStore(options['trust-store']);
+  const keyring = options.keyring && await loadKeyring(options.keyring);
+  const tsaTrustStore = options['tsa-trust-store'] && await loadTrustStore(options['tsa-trust-store']);
+  const signer = trustStore || keyring ? undefined : await signerFromOptions(options);
+  const revocationList = await revocationListFromOptions(options, { signer, keyring });
+  const ledger = options.ledger && createJsonlLedger(options.ledger);
+  const files = await expandFiles(positionals);
+
+  const entries = [];
+  for (const file of files) {
+    entries.push(await verificationReport(file, { signer, trustStore, keyring, tsaTrustStore, revocationList, ledger, chain: options.chain }));
+  }
+  const ok = entries.every((entry) => entry.ok);
+
+  if (options.json) {
+    stdout.write(`${JSON.stringify({ ok, files: entries }, null, 2)}\n`);
+  } else {
+    entries.forEach((entry) => stdout.write(`${formatEntry(entry)}\n`));
+    stdout.write(`${entries.filter((entry) => entry.ok).length}/${entries.length} passed\n`);
+  }
+
+  return ok ? EXIT_OK : EXIT_FAILED;
+}
+
+/**
+ * @returns {number | undefined} the value of the `name` option, a positive integer, `fallback` when not given
+ */
+const positiveIntegerOption = (options, name, fallback) => {
+  const value = options[name] === undefined ? fallback : Number(options[name]);
+  if (value !== undefined && !(Number.isInteger(value) && value > 0)) {
+    throw new UsageError(`--${name} has to be a positive integer`);
+  }
+  return value;
+}
+
+/**
+ * @returns {string | undefined} the STAMP_POLICY of `--if-stamped`, if given
+ */
+const policyOption = (options) => {
+  const policy = options['if-stamped'];
+  if (policy !== undefined && !Object.values(STAMP_POLICY).includes(policy)) {
+    throw new UsageError(`--if-stamped has to be one of ${Object.values(STAMP_POLICY).join(', ')}`);
+  }
+  return policy;
+}
+
+const stampDirCommand = async (argv, { stdout }) => {
+  const { positionals, options } = parseArgs(argv, ['json']);
+  if (positionals.length !== 2) {
+    throw new UsageError('stamp-dir takes an input and an output directory');
+  }
+  const maxProcs = positiveIntegerOption(options, 'max-procs');
+  const policy = policyOption(options);
+
+  const signer = await signerFromOptions(options);
+  const [inputDir, outputDir] = positionals;
+
+  const result = await stampDirectory(inputDir, outputDir, {
+    signer,
+    tsa: options['tsa-url'] && createHttpTsa({ url: options['tsa-url'] }),
+    ledger: options.ledger && createJsonlLedger(options.ledger),
+    policy,
+    maxProcs,
+    manifest: options.manifest,
+    onProgress: options.json ? undefined : ({ type, file, entry, error }) => {
+      stdout.write(`${type.toUpperCase()}  ${file}${entry ? `  id=${entry.id}` : ''}${error ? `  ${error.message}` : ''}\n`);
+    },
+  });
+  const ok = result.failed.length === 0;
+
+  if (options.json) {
+    const failed = result.failed.map(({ file, error }) => ({ file, error: error.message }));
+    stdout.write(`${JSON.stringify({ ok, ...result, failed }, null, 2)}\n`);
+  } else {
+    stdout.write(`${result.stamped.length} stamped, ${result.recovered.length} recovered, ${result.skipped.length} skipped, ${result.failed.length} failed\n`);
+  }
+
+  return ok ? EXIT_OK : EXIT_FAILED;
+}
+
+const rotateCommand = async (argv, { stdout }) => {
+  const { positionals, options } = parseArgs(argv, ['json']);
+  if (positionals.length === 0) {
+    throw new UsageError('No files to rotate');
+  }
+  if (!options.keyring) {
+    throw new UsageError('rotate needs the --keyring the stamps are checked with');
+  }
+
+  const keyring = await loadKeyring(options.keyring);
+  const signer = await signerFromOptions(options);
+  if (signer.keyId !== keyring.current.keyId) {
+    throw new UsageError(`The signer (${signer.keyId}) is not the current key of the keyring (${keyring.current.keyId})`);
+  }
+  const tsa = options['tsa-url'] && createHttpTsa({ url: options['tsa-url'] });
+  const tsaTrustStore = options['tsa-trust-store'] && await loadTrustStore(options['tsa-trust-store']);
+  const ledger = options.ledger && createJsonlLedger(options.ledger);
+
+  const entries = [];
+  for (const file of await expandFiles(positionals)) {
+    let entry;
+    try {
+      const { rotated, keyId, stamp, reason } = await rotateFile(file, { signer, keyring, tsa, tsaTrustStore, ledger });
+      entry = rotated ? { file, status: 'rotated', from: keyId, id: stamp.id } : { file, status: 'skipped', reason };
+    } catch (e) {
+      entry = { file, status: 'failed', error: e.message };
+    }
+    entries.push(entry);
+    if (!options.json) {
+      const details = entry.id ? `id=${entry.id}  from=${entry.from}` : entry.reason || entry.error;
+      stdout.write(`${entry.status.toUpperCase()}  ${file}  ${details}\n`);
+    }
+  }
+  const count = (status) => entries.filter((entry) => entry.status === status).length;
+  const ok = count('failed') === 0;
+
+  if (options.json) {
+    stdout.write(`${JSON.stringify({ ok, files: entries }, null, 2)}\n`);
+  } else {
+    stdout.write(`${count('rotated')} rotated, ${count('skipped')} skipped, ${count('failed')} failed\n`);
+  }
+
+  return ok ? EXIT_OK : EXIT_FAILED;
+}
+
+const revokeCommand = async (argv, { stdout }) => {
+  const { positionals, options } = parseArgs(argv, []);
+  if (positionals.length !== 1) {
+    throw new UsageError('revoke takes the revocation list file');
+  }
+  if (Boolean(options.stamp) === Boolean(options.key)) {
+    throw new UsageError('revoke takes one of --stamp <uuid> or --key <key id>');
+  }
+  if (options['revoked-at'] !== undefined && Number.isNaN(Date.parse(options['revoked-at']))) {
+    throw new UsageError('--revoked-at has to be a date');
+  }
+
+  const [file] = positionals;
+  const signer = await signerFromOptions(options);
+  const entry = {
+    type: options.stamp ? REVOCATION_TYPE.STAMP : REVOCATION_TYPE.KEY,
+    id: options.stamp || options.key,
+    reason: options.reason,
+    revokedAt: options['revoked-at'] && new Date(options['revoked-at']).toISOString(),
+  };
+
+  let list;
+  try {
+    list = await addRevocations(await loadRevocationList(file, { signers: [signer] }), [entry], signer);
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      throw e;
+    }
+    list = await signRevocationList([entry], signer);
+  }
+  await fs.writeFile(file, `${JSON.stringify(list, null, 2)}\n`);
+  stdout.write(`Revoked ${entry.type} ${entry.id}, ${list.entries.length} revocation(s) in ${file}\n`);
+
+  return EXIT_OK;
+}
+
+const serveCommand = async (argv, { stdout }) => {
+  const { positionals, options } = parseArgs(argv, []);
+  if (positionals.length > 0) {
+    throw new UsageError('serve takes no arguments');
+  }
+  const port = options.port === undefined ? 8080 : Number(options.port);
+  if (!(Number.isInteger(port) && port >= 0 && port < 65536)) {
+    throw new UsageError('--port has to be a port number, 0 for any free one');
+  }
+  const maxBodySize = positiveIntegerOption(options, 'max-size', DEFAULT_MAX_BODY_SIZE);
+  const policy = policyOption(options);
+
+  const signer = await signerFromOptions(options);
+  const keyring = options.keyring && await loadKeyring(options.keyring);
+  const service = createStampServer({
+    signer,
+    tsa: options['tsa-url'] && createHttpTsa({ url: options['tsa-url'] }),
+    trustStore: options['trust-store'] && await loadTrustStore(options['trust-store']),
+    keyring,
+    tsaTrustStore: options['tsa-trust-store'] && await loadTrustStore(options['tsa-trust-store']),
+    revocationList: await revocationListFromOptions(options, { signer, keyring }),
+    ledger: options.ledger && createJsonlLedger(options.ledger),
+    policy,
+    maxBodySize,
+  });
+  const { address, port: listening } = await service.listen(port, options.host);
+  stdout.write(`Listening on http://${address}:${listening}\n`);
+
+  const signal = await new Promise((resolve) => {
+    const stop = (name) => {
+      process.off('SIGINT', stop);
+      process.off('SIGTERM', stop);
+      resolve(name);
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+  });
+  stdout.write(`${signal}, finishing the requests in progress\n`);
+  await service.close();
+
+  return EXIT_OK;
+}
+
+const COMMANDS = {
+  verify: verifyCommand,
+  'stamp-dir': stampDirCommand,
+  rotate: rotateCommand,
+  revoke: revokeCommand,
+  serve: serveCommand,
+};
+
+/**
+ * @param {string[]} argv e.g. `['verify', '--json', 'a.pdf']`
+ * @returns {Promise<number>} the exit code
+ */
+const run = async (argv, { stdout = process.stdout, stderr = process.stderr } = {}) => {
+  const [name, ...rest] = argv;
+  if (name === '--help') {
+    stdout.write(USAGE);
+    return EXIT_OK;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    stderr.write(`${name ? `Unknown command: ${name}` : 'No command given'}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  try {
+    return await command(rest, { stdout, stderr });
+  } catch (e) {
+    if (e instanceof UsageError) {
+      stderr.write(`${e.message}\n\n${USAGE}`);
+      return EXIT_USAGE;
+    }
+    stderr.write(`${e.stack || e.message}\n`);
+    return EXIT_FAILED;
+  }
+}
+
+module.exports = {
+  EXIT_OK,
+  EXIT_FAILED,
+  EXIT_USAGE,
+  UsageError,
+  parseArgs,
+  expandFiles,
+  signerFromOptions,
+  run,
+};
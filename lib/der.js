@@ -0,0 +1,197 @@
+/**
+ * DER (ASN.1 distinguished encoding), as far as X.509 certificates (see
+ * ./x509) and RFC 3161 time-stamps (see ./tsa) need it: reading elements back
+ * and encoding the few types they are made of.
+ */
+
+// =============================================================================
+// Const
+// =============================================================================
+const TAG = {
+  BOOLEAN: 0x01,
+  INTEGER: 0x02,
+  BIT_STRING: 0x03,
+  OCTET_STRING: 0x04,
+  NULL: 0x05,
+  OID: 0x06,
+  UTF8_STRING: 0x0c,
+  UTC_TIME: 0x17,
+  GENERALIZED_TIME: 0x18,
+  SEQUENCE: 0x30,
+  SET: 0x31,
+};
+
+const CONTEXT = 0xa0;
+
+// =============================================================================
+// Functions
+// =============================================================================
+/**
+ * @returns {{tag: number, content: Buffer, raw: Buffer}[]} the DER elements of
+ * `buffer`, one after the other, `raw` with their tag and length
+ */
+const readDer = (buffer) => {
+  const elements = [];
+  let pos = 0;
+
+  while (pos < buffer.length) {
+    const tag = buffer[pos];
+    let length = buffer[pos + 1];
+    let start = pos + 2;
+    if (length & 0x80) {
+      const bytes = length & 0x7f;
+      length = buffer.readUIntBE(start, bytes);
+      start += bytes;
+    }
+    if (start + length > buffer.length) {
+      throw new Error(`Invalid DER: element of ${length} bytes at offset ${pos}`);
+    }
+    elements.push({ tag, content: buffer.slice(start, start + length), raw: buffer.slice(pos, start + length) });
+    pos = start + length;
+  }
+
+  return elements;
+}
+
+/**
+ * @returns {Buffer} the big-endian bytes of a non negative number
+ */
+const unsignedBytes = (value) => {
+  const hex = BigInt(value).toString(16);
+  return Buffer.from(hex.length % 2 ? `0${hex}` : hex, 'hex');
+}
+
+/**
+ * @returns {Buffer} the element of `tag` around `content`
+ */
+const element = (tag, content) => {
+  const length = content.length;
+  let header;
+  if (length < 0x80) {
+    header = Buffer.from([tag, length]);
+  } else {
+    const bytes = unsignedBytes(length);
+    header = Buffer.concat([Buffer.from([tag, 0x80 | bytes.length]), bytes]);
+  }
+  return Buffer.concat([header, content]);
+}
+
+const sequence = (...items) => element(TAG.SEQUENCE, Buffer.concat(items));
+
+/**
+ * A SET OF, its elements sorted by encoding as DER wants
+ */
+const set = (...items) => element(TAG.SET, Buffer.concat([...items].sort(Buffer.compare)));
+
+/**
+ * @param {number | bigint | Buffer} value non negative, a Buffer being big-endian
+ */
+const integer = (value) => {
+  let bytes = Buffer.isBuffer(value) ? value : unsignedBytes(value);
+  while (bytes.length > 1 && bytes[0] === 0 && !(bytes[1] & 0x80)) {
+    bytes = bytes.slice(1);
+  }
+  return element(TAG.INTEGER, bytes[0] & 0x80 ? Buffer.concat([Buffer.from([0]), bytes]) : bytes);
+}
+
+/**
+ * @param {string} value dotted, e.g. `1.2.840.113549.1.7.2`
+ */
+const oid = (value) => {
+  const [first, second, ...rest] = value.split('.').map(Number);
+  const bytes = [40 * first + second];
+  rest.forEach((arc) => {
+    const base128 = [arc & 0x7f];
+    for (let n = Math.floor(arc / 128); n > 0; n = Math.floor(n / 128)) {
+      base128.unshift(0x80 | (n & 0x7f));
+    }
+    bytes.push(...base128);
+  });
+  return element(TAG.OID, Buffer.from(bytes));
+}
+
+const octetString = (content) => element(TAG.OCTET_STRING, content);
+
+const bitString = (content) => element(TAG.BIT_STRING, Buffer.concat([Buffer.from([0]), content]));
+
+const boolean = (value) => element(TAG.BOOLEAN, Buffer.from([value ? 0xff : 0]));
+
+const utf8String = (value) => element(TAG.UTF8_STRING, Buffer.from(value, 'utf8'));
+
+/**
+ * @returns {Buffer} `date` as a GeneralizedTime, to the millisecond when it has some
+ */
+const generalizedTime = (date) => {
+  const iso = date.toISOString().replace(/[-:T]/g, '').replace(/\.000Z$/, 'Z');
+  return element(TAG.GENERALIZED_TIME, Buffer.from(iso, 'latin1'));
+}
+
+/**
+ * @returns {Buffer} `date` as a UTCTime (years 1950 to 2049), to the second
+ */
+const utcTime = (date) => {
+  const iso = date.toISOString().slice(2, 19).replace(/[-:T]/g, '');
+  return element(TAG.UTC_TIME, Buffer.from(`${iso}Z`, 'latin1'));
+}
+
+/**
+ * `[n] EXPLICIT`, constructed around `content`
+ */
+const explicit = (n, content) => element(CONTEXT | n, content);
+
+/**
+ * @returns {string} the dotted value of an OID's content
+ */
+const decodeOid = (content) => {
+  const arcs = [Math.floor(content[0] / 40), content[0] % 40];
+  let arc = 0;
+  for (const byte of content.slice(1)) {
+    arc = arc * 128 + (byte & 0x7f);
+    if (!(byte & 0x80)) {
+      arcs.push(arc);
+      arc = 0;
+    }
+  }
+  return arcs.join('.');
+}
+
+/**
+ * @returns {bigint} the value of a (non negative) INTEGER's content
+ */
+const decodeInteger = (content) => BigInt(`0x${content.toString('hex') || '0'}`);
+
+/**
+ * @returns {Date} the value of a GeneralizedTime / UTCTime element
+ */
+const decodeTime = ({ tag, content }) => {
+  const text = content.toString('latin1');
+  const match = (tag === TAG.UTC_TIME ? /^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})()Z$/ : /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\.\d+)?Z$/).exec(text);
+  if (!match) {
+    throw new Error(`Invalid DER time: ${text}`);
+  }
+  const [, year, month, day, hours, minutes, seconds, fraction = ''] = match;
+  // UTCTime years: 50-99 are 19xx (RFC 5280)
+  const fullYear = year.length === 2 ? `${Number(year) < 50 ? 20 : 19}${year}` : year;
+  return new Date(`${fullYear}-${month}-${day}T${hours}:${minutes}:${seconds}${fraction.slice(0, 4)}Z`);
+}
+
+module.exports = {
+  TAG,
+  CONTEXT,
+  readDer,
+  element,
+  sequence,
+  set,
+  integer,
+  oid,
+  octetString,
+  bitString,
+  boolean,
+  utf8String,
+  generalizedTime,
+  utcTime,
+  explicit,
+  decodeOid,
+  decodeInteger,
+  decodeTime,
+};
@@ -0,0 +1,91 @@
+/**
+ * Tamper report: why a stamped file no longer matches what was issued, as a
+ * list of differences between the file and the expected stamp (a ledger entry,
+ * see ./ledger, or any stamp known to be the issued one).
+ *
+ * Dates kept by the file system (FileAccessDate, FileModifyDate...) are not
+ * part of the file's bytes, so opening or copying a file is no difference.
+ */
+const fs = require('fs').promises;
+
+const { generateChecksum } = require('./checksum');
+const { detectFormatFile } = require('./formats');
+const { STAMP_SCHEMA } = require('./schema');
+const { signingMessage, stampedDigestFile } = require('./signing');
+const { locateStamp } = require('./stamp');
+
+// =============================================================================
+// Const
+// =============================================================================
+const DIFFERENCE = {
+  // The file carries no stamp (embedded or sidecar) anymore
+  STAMP_REMOVED: 'stamp-removed',
+  // A stamp field is not the one issued: `field`, `expected`, `actual`
+  STAMP_EDITED: 'stamp-edited',
+  // The signature doesn't verify over the stamp's id, digest, key and time
+  SIGNATURE_INVALID: 'signature-invalid',
+  // The content the digest covers changed: `expected`, `actual`
+  CONTENT_CHANGED: 'content-changed',
+  // Content and stamp are as issued, only bytes outside the digest changed
+  // (other metadata, e.g. a caption or IPTC added by another tool)
+  METADATA_CHANGED: 'metadata-changed',
+};
+
+// =============================================================================
+// Functions
+// =============================================================================
+/**
+ * The digest `path` is checked against when it carries no stamp: its content
+ * digest, or the digest of the whole file for the formats without one (which
+ * can only have been stamped with a sidecar), or of the byte range of
+ * `expected` if it has one (the whole file once its update is dropped)
+ */
+const unstampedDigestFile = async (path, expected) => stampedDigestFile(path, { stamp: expected, sidecar: !await detectFormatFile(path) });
+
+/**
+ * Compare `path` with the stamp it was issued
+ *
+ * @param {import('./ledger').LedgerEntry | import('./stamp').Stamp} expected
+ * the issued stamp, with the `checksum` of the stamped file if known (ledger
+ * entries have it) to tell metadata changes from no change at all
+ * @param {{signer?: import('./signers').Signer, exiftool?: import("exiftool-vendored").ExifTool}} options
+ * without a `signer`, the signature is only compared with the expected one
+ * @returns {Promise<{type: string}[]>} the differences found (see DIFFERENCE),
+ * none when the file is as issued
+ */
+const diagnose = async (path, expected, { signer, exiftool } = {}) => {
+  const located = await locateStamp(path, { exiftool });
+  const differences = [];
+
+  if (!located) {
+    differences.push({ type: DIFFERENCE.STAMP_REMOVED });
+  } else {
+    const { stamp } = located;
+    Object.keys(STAMP_SCHEMA)
+      .filter((field) => expected[field] !== undefined && stamp[field] !== expected[field])
+      .forEach((field) => differences.push({ type: DIFFERENCE.STAMP_EDITED, field, expected: expected[field], actual: stamp[field] }));
+
+    if (signer && !(stamp.signature && await signer.verify(signingMessage(stamp), Buffer.from(stamp.signature, 'base64')))) {
+      differences.push({ type: DIFFERENCE.SIGNATURE_INVALID });
+    }
+  }
+
+  const digest = located ? await stampedDigestFile(path, located) : await unstampedDigestFile(path, expected);
+  if (digest !== expected.digest) {
+    differences.push({ type: DIFFERENCE.CONTENT_CHANGED, expected: expected.digest, actual: digest });
+  }
+
+  if (differences.length === 0 && expected.checksum && !located.sidecar) {
+    const checksum = generateChecksum(await fs.readFile(path));
+    if (checksum !== expected.checksum) {
+      differences.push({ type: DIFFERENCE.METADATA_CHANGED, expected: expected.checksum, actual: checksum });
+    }
+  }
+
+  return differences;
+}
+
+module.exports = {
+  DIFFERENCE,
+  diagnose,
+};
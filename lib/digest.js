@@ -0,0 +1,42 @@
+/**
+ * Content digest that leaves out the embedded stamp, so it stays the same
+ * whether or not the file carries a stamp, and a signature can cover it.
+ *
+ * What is hashed depends on the format, see the `content` of each entry in
+ * ./formats.
+ *
+ * NOTE: IPTC is left out of the formats exiftool writes, because
+ * exiftool-vendored passes `-codedcharacterset=utf8` on every write, which
+ * adds IPTC to the file
+ */
+const crypto = require('crypto');
+const fs = require('fs').promises;
+
+const { FORMATS, detectFormat } = require('./formats');
+
+// =============================================================================
+// Functions
+// =============================================================================
+/**
+ * Hex SHA-512 over the content of a file of any supported format, leaving out
+ * the stamp
+ *
+ * @returns {Promise<string>}
+ */
+const contentDigest = async (buffer) => {
+  const format = detectFormat(buffer);
+  if (!format) {
+    throw new Error(`Unsupported format: only ${FORMATS.map(({ name }) => name.toUpperCase()).join(', ')} have a content digest`);
+  }
+
+  const hash = crypto.createHash('sha512');
+  (await format.content(buffer)).forEach((part) => hash.update(part));
+  return hash.digest('hex');
+}
+
+const contentDigestFile = async (path) => contentDigest(await fs.readFile(path));
+
+module.exports = {
+  contentDigest,
+  contentDigestFile,
+};
@@ -0,0 +1,75 @@
+/**
+ * The ExifTool instance owned by the library.
+ *
+ * It is started with `-config` pointing at the bundled exiftoolHome/.ExifTool_config,
+ * so neither the working directory, EXIFTOOL_HOME nor the order modules are
+ * required in matters. Before the first read / write the custom stamp tags are
+ * checked to be registered, otherwise exiftool would drop them with only a warning.
+ */
+const path = require('path');
+const { ExifTool, ExifToolTask, DefaultExiftoolArgs } = require("exiftool-vendored");
+
+const { NAMESPACE, STAMP_TAGS } = require('./schema');
+
+// =============================================================================
+// Const
+// =============================================================================
+const CONFIG_PATH = path.join(__dirname, '..', 'exiftoolHome', '.ExifTool_config');
+
+// =============================================================================
+// Classes
+// =============================================================================
+/**
+ * `exiftool -listw -<group>:all`: the writable tags of a group
+ */
+class ListWritableTagsTask extends ExifToolTask {
+  constructor(group) {
+    super(['-listw', `-${group}:all`]);
+  }
+
+  parse(data) {
+    // First line is the `Writable <group> tags:` header
+    return data.split('\n').slice(1).join(' ').split(/\s+/).filter((tag) => tag && tag !== '[empty' && tag !== 'list]');
+  }
+}
+
+// =============================================================================
+// Functions
+// =============================================================================
+/**
+ * @param {Partial<import("exiftool-vendored").ExifToolOptions>} options e.g. `maxProcs`
+ * @returns {import("exiftool-vendored").ExifTool}
+ */
+const createExifTool = (options = {}) => {
+  return new ExifTool({
+    ...options,
+    exiftoolArgs: ['-config', CONFIG_PATH, ...DefaultExiftoolArgs],
+  });
+}
+
+const checked = new WeakMap();
+
+/**
+ * Resolves once the stamp tags are known to be registered in `et`, rejects
+ * (every time) otherwise. The check runs once per instance
+ */
+const ensureStampTags = (et) => {
+  if (!checked.has(et)) {
+    checked.set(et, et.enqueueTask(() => new ListWritableTagsTask(`XMP-${NAMESPACE.prefix}`)).then((tags) => {
+      const missing = Object.values(STAMP_TAGS).filter((tag) => !tags.includes(tag));
+      if (missing.length > 0) {
+        throw new Error(`ExifTool config ${CONFIG_PATH} does not register the stamp tags: ${missing.join(', ')}`);
+      }
+    }));
+  }
+  return checked.get(et);
+}
+
+const exiftool = createExifTool();
+
+module.exports = {
+  CONFIG_PATH,
+  createExifTool,
+  ensureStampTags,
+  exiftool,
+};
@@ -0,0 +1,217 @@
+/**
+ * HEIC (HEIF): the stamp is written as xmp by exiftool, as an
+ * `application/rdf+xml` item of the meta box.
+ *
+ * exiftool adds that item (infe, iloc extent and a cdsc reference to the
+ * primary image) and moves the item data around. Content: the boxes outside
+ * of meta and mdat, the meta boxes that hold no item locations, and every
+ * item but the xmp ones by id, type and data, with their references
+ */
+
+// =============================================================================
+// Const
+// =============================================================================
+const FTYP = 'ftyp';
+const HEIF_BRANDS = ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'mif1', 'msf1'];
+
+const XMP_CONTENT_TYPE = 'application/rdf+xml';
+
+// Boxes holding item data or hashed item by item
+const ITEM_BOXES = ['iinf', 'iloc', 'iref', 'idat'];
+// Top level boxes that only hold data referenced from elsewhere, or padding
+const SKIPPED_BOXES = ['mdat', 'free', 'skip'];
+
+// =============================================================================
+// Functions
+// =============================================================================
+const detect = (buffer) => buffer.length >= 12
+  && buffer.toString('latin1', 4, 8) === FTYP
+  && HEIF_BRANDS.includes(buffer.toString('latin1', 8, 12));
+
+/**
+ * @returns {{type: string, start: number, body: number, end: number}[]} the boxes between `start` and `end`
+ */
+const readBoxes = (buffer, start, end) => {
+  const boxes = [];
+  let pos = start;
+
+  while (pos + 8 <= end) {
+    let size = buffer.readUInt32BE(pos);
+    let body = pos + 8;
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(pos + 8));
+      body = pos + 16;
+    } else if (size === 0) {
+      size = end - pos;
+    }
+
+    boxes.push({ type: buffer.toString('latin1', pos + 4, pos + 8), start: pos, body, end: pos + size });
+    pos += size;
+  }
+
+  return boxes;
+}
+
+/**
+ * Read an unsigned integer of 0, 2, 4 or 8 bytes
+ */
+const readUInt = (buffer, pos, size) => {
+  switch (size) {
+    case 0: return 0;
+    case 2: return buffer.readUInt16BE(pos);
+    case 4: return buffer.readUInt32BE(pos);
+    case 8: return Number(buffer.readBigUInt64BE(pos));
+    default: throw new Error(`Invalid HEIF: unsupported field size ${size}`);
+  }
+}
+
+const readString = (buffer, pos) => {
+  const end = buffer.indexOf(0, pos);
+  return { value: buffer.toString('utf8', pos, end), next: end + 1 };
+}
+
+/**
+ * @returns {{id: number, type: string, contentType?: string}[]} the items of an iinf box
+ */
+const readItemInfos = (buffer, iinf) => {
+  const version = buffer[iinf.body];
+  const entriesStart = iinf.body + 4 + (version === 0 ? 2 : 4);
+
+  return readBoxes(buffer, entriesStart, iinf.end)
+    .filter(({ type }) => type === 'infe')
+    .map((infe) => {
+      const infeVersion = buffer[infe.body];
+      if (infeVersion < 2) {
+        throw new Error(`Invalid HEIF: unsupported infe version ${infeVersion}`);
+      }
+      const idSize = infeVersion === 2 ? 2 : 4;
+      const id = readUInt(buffer, infe.body + 4, idSize);
+      const typePos = infe.body + 4 + idSize + 2;
+      const type = buffer.toString('latin1', typePos, typePos + 4);
+      const name = readString(buffer, typePos + 4);
+
+      return {
+        id,
+        type,
+        contentType: type === 'mime' ? readString(buffer, name.next).value : undefined,
+      };
+    });
+}
+
+/**
+ * @returns {Map<number, {constructionMethod: number, extents: {offset: number, length: number}[]}>} item id => location
+ */
+const readItemLocations = (buffer, iloc) => {
+  const version = buffer[iloc.body];
+  let pos = iloc.body + 4;
+  const offsetSize = buffer[pos] >> 4;
+  const lengthSize = buffer[pos] & 0x0f;
+  const baseOffsetSize = buffer[pos + 1] >> 4;
+  const indexSize = version > 0 ? buffer[pos + 1] & 0x0f : 0;
+  pos += 2;
+
+  const idSize = version < 2 ? 2 : 4;
+  const itemCount = readUInt(buffer, pos, idSize);
+  pos += idSize;
+
+  const locations = new Map();
+  for (let i = 0; i < itemCount; i++) {
+    const id = readUInt(buffer, pos, idSize);
+    pos += idSize;
+    const constructionMethod = version > 0 ? buffer.readUInt16BE(pos) & 0x0f : 0;
+    pos += version > 0 ? 2 : 0;
+    // data_reference_index
+    pos += 2;
+    const baseOffset = readUInt(buffer, pos, baseOffsetSize);
+    pos += baseOffsetSize;
+    const extentCount = buffer.readUInt16BE(pos);
+    pos += 2;
+
+    const extents = [];
+    for (let j = 0; j < extentCount; j++) {
+      pos += indexSize;
+      const offset = baseOffset + readUInt(buffer, pos, offsetSize);
+      pos += offsetSize;
+      const length = readUInt(buffer, pos, lengthSize);
+      pos += lengthSize;
+      extents.push({ offset, length });
+    }
+    locations.set(id, { constructionMethod, extents });
+  }
+
+  return locations;
+}
+
+/**
+ * @returns {{type: string, from: number, to: number[]}[]} the references of an iref box
+ */
+const readItemReferences = (buffer, iref) => {
+  const idSize = buffer[iref.body] === 0 ? 2 : 4;
+
+  return readBoxes(buffer, iref.body + 4, iref.end).map((reference) => {
+    const from = readUInt(buffer, reference.body, idSize);
+    const count = buffer.readUInt16BE(reference.body + idSize);
+    const to = Array.from({ length: count }, (_, i) => readUInt(buffer, reference.body + idSize + 2 + i * idSize, idSize));
+    return { type: reference.type, from, to };
+  });
+}
+
+/**
+ * @returns {Buffer[]} the parts of the meta box that are hashed
+ */
+const metaContent = (buffer, meta) => {
+  const boxes = readBoxes(buffer, meta.body + 4, meta.end);
+  const find = (type) => boxes.find((box) => box.type === type);
+  const parts = boxes.filter(({ type }) => !ITEM_BOXES.includes(type)).map(({ start, end }) => buffer.slice(start, end));
+
+  const iinf = find('iinf');
+  const iloc = find('iloc');
+  const iref = find('iref');
+  const idat = find('idat');
+  const items = iinf ? readItemInfos(buffer, iinf) : [];
+  const locations = iloc ? readItemLocations(buffer, iloc) : new Map();
+
+  const excluded = new Set(items
+    .filter(({ type, contentType }) => type === 'mime' && contentType === XMP_CONTENT_TYPE)
+    .map(({ id }) => id));
+
+  items.filter(({ id }) => !excluded.has(id)).sort((a, b) => a.id - b.id).forEach(({ id, type, contentType }) => {
+    parts.push(Buffer.from(`${id} ${type} ${contentType || ''}\n`));
+
+    const location = locations.get(id);
+    (location ? location.extents : []).forEach(({ offset, length }) => {
+      // Construction method 1: offsets into idat, 0: offsets into the file
+      const start = location.constructionMethod === 1 ? idat.body + offset : offset;
+      parts.push(buffer.slice(start, length === 0 ? buffer.length : start + length));
+    });
+  });
+
+  (iref ? readItemReferences(buffer, iref) : [])
+    .filter(({ from }) => !excluded.has(from))
+    .map(({ type, from, to }) => ({ type, from, to: to.filter((id) => !excluded.has(id)) }))
+    .filter(({ to }) => to.length > 0)
+    .forEach(({ type, from, to }) => parts.push(Buffer.from(`${type} ${from} ${to.join(' ')}\n`)));
+
+  return parts;
+}
+
+/**
+ * @returns {Buffer[]} the parts of the HEIC that are hashed
+ */
+const content = (buffer) => {
+  return readBoxes(buffer, 0, buffer.length).flatMap((box) => {
+    if (box.type === 'meta') {
+      return metaContent(buffer, box);
+    }
+    return SKIPPED_BOXES.includes(box.type) ? [] : [buffer.slice(box.start, box.end)];
+  });
+}
+
+module.exports = {
+  name: 'heic',
+  extensions: ['.heic', '.heif'],
+  mimeTypes: ['image/heic', 'image/heif'],
+  embedding: 'xmp',
+  detect,
+  content,
+};
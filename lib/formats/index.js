@@ -0,0 +1,97 @@
+/**
+ * Format registry: one entry per supported format, saying how the stamp is
+ * embedded and how the content digest is computed (see ../digest).
+ *
+ * @typedef {Object} Format
+ * @property {string} name
+ * @property {string[]} extensions lower case, with the dot
+ * @property {string[]} mimeTypes
+ * @property {'xmp' | 'svg-metadata' | 'ooxml-part' | 'odf-part'} embedding
+ * `xmp`: in the format's own xmp, which exiftool can write, otherwise a place
+ * of our own that only the entry's clearStamp removes
+ * @property {(head: Buffer) => boolean} detect from the first bytes of the file
+ * (the whole file for zip containers)
+ * @property {(buffer: Buffer) => Buffer[] | Promise<Buffer[]>} content the parts
+ * hashed for the content digest, leaving out the stamp and whatever writing
+ * it changes
+ * @property {(buffer: Buffer) => Promise<import('../stamp').Stamp | undefined>} [readStamp]
+ * @property {(buffer: Buffer, stamp: import('../stamp').Stamp) => Promise<Buffer>} [writeStamp]
+ * the stamp read / written in JS, exiftool does it for the formats without them
+ * @property {(buffer: Buffer) => Promise<Buffer>} [clearStamp] the buffer
+ * without the stamp, every other byte kept
+ * @property {(buffer: Buffer) => string | undefined} [readXmp] the xmp packet,
+ * for `xmp` formats whose packet is edited in JS
+ * @property {(buffer: Buffer, xml: string) => Buffer} [writeXmp]
+ * @property {(buffer: Buffer) => Buffer} [removeXmp]
+ * @property {(buffer: Buffer) => Buffer | undefined} [readJumbf] the JUMBF box
+ * of a C2PA manifest store (see ../c2pa), for the formats that can embed one
+ * @property {(buffer: Buffer, jumbf: Buffer) => Buffer} [writeJumbf]
+ * @property {(buffer: Buffer) => Buffer} [removeJumbf]
+ */
+const fs = require('fs').promises;
+
+const jpeg = require('./jpeg');
+const png = require('./png');
+const pdf = require('./pdf');
+const tiff = require('./tiff');
+const webp = require('./webp');
+const heic = require('./heic');
+const svg = require('./svg');
+const odf = require('./odf');
+const ooxml = require('./ooxml');
+const { isZip } = require('./zip');
+
+// =============================================================================
+// Const
+// =============================================================================
+/**
+ * In detection order: ODF before OOXML, as both are zips
+ *
+ * @type {Format[]}
+ */
+const FORMATS = [jpeg, png, pdf, tiff, webp, heic, svg, odf, ooxml];
+
+const SUPPORTED_EXTENSIONS = FORMATS.flatMap(({ extensions }) => extensions);
+
+const HEAD_LENGTH = 4096;
+
+// =============================================================================
+// Functions
+// =============================================================================
+/**
+ * @returns {Format | undefined}
+ */
+const detectFormat = (buffer) => FORMATS.find((format) => format.detect(buffer));
+
+/**
+ * @param {string} mimeType e.g. `image/png`, parameters (`; charset=...`) are ignored
+ * @returns {Format | undefined}
+ */
+const formatForMimeType = (mimeType) => {
+  const essence = String(mimeType).split(';')[0].trim().toLowerCase();
+  return FORMATS.find(({ mimeTypes }) => mimeTypes.includes(essence));
+}
+
+/**
+ * Same as detectFormat, only reading the whole file for zip containers
+ *
+ * @returns {Promise<Format | undefined>}
+ */
+const detectFormatFile = async (path) => {
+  const handle = await fs.open(path, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(HEAD_LENGTH), 0, HEAD_LENGTH, 0);
+    const head = buffer.slice(0, bytesRead);
+    return detectFormat(isZip(head) ? await fs.readFile(path) : head);
+  } finally {
+    await handle.close();
+  }
+}
+
+module.exports = {
+  FORMATS,
+  SUPPORTED_EXTENSIONS,
+  detectFormat,
+  detectFormatFile,
+  formatForMimeType,
+};
@@ -0,0 +1,347 @@
+/**
+ * JPEG: the stamp is written as xmp (APP1), in JS by readXmp / writeXmp. The
+ * packet is laid out as exiftool lays it out, padding included. A packet too
+ * large for one segment (e.g. a long history) is split as the XMP spec says:
+ * its last rdf:Description elements go to an ExtendedXMP packet in as many
+ * APP1 segments as it takes, which the standard packet points to by GUID. A C2PA
+ * manifest store (JUMBF, see ../c2pa) goes in APP11 segments, as C2PA puts it.
+ *
+ * Content: every byte except the APP1 xmp segments (standard and extended),
+ * the APP13 Photoshop (IPTC) segment and the APP11 JUMBF segments
+ */
+const crypto = require('crypto');
+
+const { xmpStampAccessors } = require('../xmp');
+
+// =============================================================================
+// Const
+// =============================================================================
+const JPEG_SOI = Buffer.from([0xff, 0xd8]);
+
+const XMP_APP1_HEADERS = [
+  Buffer.from('http://ns.adobe.com/xap/1.0/\0'),
+  Buffer.from('http://ns.adobe.com/xmp/extension/\0'),
+];
+const PHOTOSHOP_APP13_HEADER = Buffer.from('Photoshop 3.0\0');
+
+// ExtendedXMP segment: the header, the GUID of the extended packet (the hex
+// MD5 of it), its full length and the offset of this part (32 bit each)
+const EXTENDED_XMP_GUID_LENGTH = 32;
+const EXTENDED_XMP_HEADER_LENGTH = XMP_APP1_HEADERS[1].length + EXTENDED_XMP_GUID_LENGTH + 8;
+const XMP_NOTE_NS = 'http://ns.adobe.com/xmp/note/';
+
+// APP11 JUMBF segment: common identifier `JP`, box instance (16 bit) and
+// packet sequence number (32 bit), then the box. Every packet after the first
+// repeats the box header (LBox + TBox) before the rest of the box
+const JUMBF_APP11_HEADER = Buffer.from('JP');
+const JUMBF_PACKET_HEADER_LENGTH = 8;
+const JUMBF_BOX_HEADER_LENGTH = 8;
+const JUMBF_INSTANCE = 1;
+
+// Largest segment data: the 16 bit length counts itself
+const MAX_SEGMENT_DATA = 0xffff - 2;
+
+// =============================================================================
+// Functions
+// =============================================================================
+const detect = (buffer) => buffer.slice(0, JPEG_SOI.length).equals(JPEG_SOI);
+
+/**
+ * @returns {{segments: {marker: number, start: number, end: number}[], scan: number}}
+ * the marker segments before the image data, and where the image data (SOS or EOI) starts
+ */
+const readSegments = (buffer) => {
+  const segments = [];
+  let pos = JPEG_SOI.length;
+
+  while (pos < buffer.length) {
+    if (buffer[pos] !== 0xff) {
+      throw new Error(`Invalid JPEG: expected a marker at offset ${pos}`);
+    }
+    const marker = buffer[pos + 1];
+
+    // Fill byte, or a marker without a length (TEM / RSTn)
+    if (marker === 0xff) {
+      pos += 1;
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      segments.push({ marker, start: pos, end: pos + 2 });
+      pos += 2;
+      continue;
+    }
+
+    // Start of scan / end of image: no metadata from here on
+    if (marker === 0xda || marker === 0xd9) {
+      break;
+    }
+
+    const end = pos + 2 + buffer.readUInt16BE(pos + 2);
+    segments.push({ marker, start: pos, end });
+    pos = end;
+  }
+
+  return { segments, scan: pos };
+}
+
+const hasHeader = (buffer, { start }, header) => buffer.slice(start + 4, start + 4 + header.length).equals(header);
+
+const isXmp = (buffer, segment) => segment.marker === 0xe1 && XMP_APP1_HEADERS.some((header) => hasHeader(buffer, segment, header));
+
+const isStandardXmp = (buffer, segment) => segment.marker === 0xe1 && hasHeader(buffer, segment, XMP_APP1_HEADERS[0]);
+
+const isJumbf = (buffer, segment) => segment.marker === 0xeb && hasHeader(buffer, segment, JUMBF_APP11_HEADER);
+
+/**
+ * @returns {Buffer} a marker segment of `data`
+ */
+const segmentOf = (marker, data) => {
+  if (data.length > MAX_SEGMENT_DATA) {
+    throw new Error(`Invalid JPEG: ${data.length} bytes don't fit in a segment`);
+  }
+  const header = Buffer.from([0xff, marker, 0, 0]);
+  header.writeUInt16BE(data.length + 2, 2);
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * @returns {Buffer} `buffer` with `inserted` in place of the `current`
+ * segments, or else after the APP0 (JFIF) / APP1 (Exif, xmp) segments
+ */
+const replaceSegments = (buffer, current, inserted) => {
+  const { segments } = readSegments(buffer);
+  if (current.length > 0) {
+    const rest = current.slice(1).reduce((parts, segment, i) => [...parts, buffer.slice(current[i].end, segment.start)], []);
+    return Buffer.concat([buffer.slice(0, current[0].start), inserted, ...rest, buffer.slice(current[current.length - 1].end)]);
+  }
+
+  const leading = segments.filter((candidate, i) => segments.slice(0, i + 1).every(({ marker }) => marker === 0xe0 || marker === 0xe1));
+  const at = leading.length > 0 ? leading[leading.length - 1].end : JPEG_SOI.length;
+  return Buffer.concat([buffer.slice(0, at), inserted, buffer.slice(at)]);
+}
+
+/**
+ * @returns {Buffer[]} the parts of the JPEG that are hashed
+ */
+const content = (buffer) => {
+  const { segments, scan } = readSegments(buffer);
+  const isPhotoshop = (segment) => segment.marker === 0xed && hasHeader(buffer, segment, PHOTOSHOP_APP13_HEADER);
+
+  return [
+    JPEG_SOI,
+    ...segments
+      .filter((segment) => !isXmp(buffer, segment) && !isPhotoshop(segment) && !isJumbf(buffer, segment))
+      .map(({ start, end }) => buffer.slice(start, end)),
+    buffer.slice(scan),
+  ];
+}
+
+const standardXmpData = (xml) => Buffer.concat([XMP_APP1_HEADERS[0], Buffer.from(xml, 'utf8')]);
+
+/**
+ * @returns {string} the rdf:Description pointing to the ExtendedXMP packet
+ * `guid`, with the whitespace before it
+ */
+const extendedXmpNote = (guid) => `\n\n <rdf:Description rdf:about=''\n  xmlns:xmpNote='${XMP_NOTE_NS}'\n  xmpNote:HasExtendedXMP='${guid}'/>`;
+
+/**
+ * @returns {{start: number, end: number}[]} the top level rdf:Description
+ * elements of `xml`, each with the whitespace before it
+ */
+const topDescriptions = (xml) => {
+  const descriptions = [];
+  const tags = /<rdf:Description\b[^>]*?(\/?)>|<\/rdf:Description>/g;
+  let depth = 0;
+  let start;
+  for (let match = tags.exec(xml); match; match = tags.exec(xml)) {
+    if (depth === 0) {
+      start = xml.slice(0, match.index).replace(/\s*$/, '').length;
+    }
+    depth += match[0].startsWith('</') ? -1 : (match[1] ? 0 : 1);
+    if (depth === 0) {
+      descriptions.push({ start, end: tags.lastIndex });
+    }
+  }
+  return descriptions;
+}
+
+/**
+ * Split `xml` as the XMP spec says when it doesn't fit in one segment: its
+ * last rdf:Description elements move to an ExtendedXMP packet, until the
+ * standard packet, pointing to it, fits
+ *
+ * @returns {{standard: string, guid: string, extended: Buffer}}
+ */
+const splitXmp = (xml) => {
+  const descriptions = topDescriptions(xml);
+  const end = descriptions.length > 0 ? descriptions[descriptions.length - 1].end : 0;
+
+  for (let i = descriptions.length - 1; i >= 0; i--) {
+    const rest = `${xml.slice(0, descriptions[i].start)}${xml.slice(end)}`;
+    if (standardXmpData(rest).length + extendedXmpNote('0'.repeat(EXTENDED_XMP_GUID_LENGTH)).length <= MAX_SEGMENT_DATA) {
+      const [xmpmeta] = /<x:xmpmeta\b[^>]*>/.exec(xml);
+      const [rdf] = /<rdf:RDF\b[^>]*>/.exec(xml);
+      const extended = Buffer.from(`${xmpmeta}\n${rdf}${xml.slice(descriptions[i].start, end)}\n</rdf:RDF>\n</x:xmpmeta>\n`, 'utf8');
+      const guid = crypto.createHash('md5').update(extended).digest('hex').toUpperCase();
+      const standard = `${xml.slice(0, descriptions[i].start)}${extendedXmpNote(guid)}${xml.slice(end)}`;
+      return { standard, guid, extended };
+    }
+  }
+  throw new Error(`The xmp packet is ${standardXmpData(xml).length} bytes, and can't be split to fit in JPEG APP1 segments`);
+}
+
+/**
+ * @returns {Buffer} the APP1 segments of the standard packet of `xml`, and of
+ * its ExtendedXMP packet when it doesn't fit in one segment
+ */
+const xmpSegments = (xml) => {
+  const data = standardXmpData(xml);
+  if (data.length <= MAX_SEGMENT_DATA) {
+    return segmentOf(0xe1, data);
+  }
+
+  const { standard, guid, extended } = splitXmp(xml);
+  const size = MAX_SEGMENT_DATA - EXTENDED_XMP_HEADER_LENGTH;
+  const segments = [segmentOf(0xe1, standardXmpData(standard))];
+  for (let offset = 0; offset < extended.length; offset += size) {
+    const header = Buffer.concat([XMP_APP1_HEADERS[1], Buffer.from(guid), Buffer.alloc(8)]);
+    header.writeUInt32BE(extended.length, header.length - 8);
+    header.writeUInt32BE(offset, header.length - 4);
+    segments.push(segmentOf(0xe1, Buffer.concat([header, extended.slice(offset, offset + size)])));
+  }
+  return Buffer.concat(segments);
+}
+
+/**
+ * @returns {string | undefined} the ExtendedXMP packet `guid`, put back
+ * together, undefined unless complete and matching its GUID
+ */
+const readExtendedXmp = (buffer, segments, guid) => {
+  const parts = segments
+    .filter((segment) => segment.marker === 0xe1 && hasHeader(buffer, segment, XMP_APP1_HEADERS[1]))
+    .map(({ start, end }) => buffer.slice(start + 4 + XMP_APP1_HEADERS[1].length, end))
+    .filter((data) => data.toString('latin1', 0, EXTENDED_XMP_GUID_LENGTH) === guid);
+  if (parts.length === 0) {
+    return undefined;
+  }
+
+  const extended = Buffer.alloc(parts[0].readUInt32BE(EXTENDED_XMP_GUID_LENGTH));
+  parts.forEach((data) => {
+    const offset = data.readUInt32BE(EXTENDED_XMP_GUID_LENGTH + 4);
+    if (offset < extended.length) {
+      data.copy(extended, offset, EXTENDED_XMP_GUID_LENGTH + 8);
+    }
+  });
+  const digest = crypto.createHash('md5').update(extended).digest('hex').toUpperCase();
+  return digest === guid ? extended.toString('utf8') : undefined;
+}
+
+/**
+ * @returns {string} the standard packet `xml` with the rdf:Description
+ * elements of the ExtendedXMP packet `extended` in place of the one pointing to it
+ */
+const mergeExtendedXmp = (xml, guid, extended) => {
+  const note = new RegExp(`\\s*<rdf:Description\\s+rdf:about=(["'])\\1\\s+xmlns:xmpNote=(["'])${XMP_NOTE_NS.replace(/\./g, '\\.')}\\2\\s+xmpNote:HasExtendedXMP=(["'])${guid}\\3\\s*/>`);
+  const rest = note.test(xml) ? xml.replace(note, '') : xml.replace(new RegExp(`\\s+xmpNote:HasExtendedXMP=(["'])${guid}\\1`), '');
+  const [rdf] = /<rdf:RDF\b[^>]*>/.exec(extended) || [''];
+  const body = extended.slice(extended.indexOf(rdf) + rdf.length, extended.lastIndexOf('</rdf:RDF>')).replace(/\s*$/, '');
+
+  const index = rest.lastIndexOf('</rdf:RDF>');
+  const end = rest.slice(0, index).replace(/\s*$/, '').length;
+  return `${rest.slice(0, end)}${body}${rest.slice(end)}`;
+}
+
+/**
+ * @returns {string | undefined} the xmp packet (APP1), if any, with the
+ * properties of its ExtendedXMP packet
+ */
+const readXmp = (buffer) => {
+  const { segments } = readSegments(buffer);
+  const segment = segments.find((candidate) => isStandardXmp(buffer, candidate));
+  const xml = segment && buffer.toString('utf8', segment.start + 4 + XMP_APP1_HEADERS[0].length, segment.end);
+  const note = xml && /xmpNote:HasExtendedXMP=(["'])([0-9A-F]{32})\1/.exec(xml);
+  const extended = note && readExtendedXmp(buffer, segments, note[2]);
+  return extended ? mergeExtendedXmp(xml, note[2], extended) : xml;
+}
+
+/**
+ * @returns {Buffer} the JPEG with `xml` as its xmp packet (split into an
+ * ExtendedXMP packet if need be), in place of the current one, or else after
+ * the APP0 (JFIF) / APP1 (Exif) segments
+ */
+const writeXmp = (buffer, xml) => {
+  const current = readSegments(buffer).segments.filter((candidate) => isXmp(buffer, candidate));
+  return replaceSegments(buffer, current, xmpSegments(xml));
+}
+
+/**
+ * @returns {Buffer} the JPEG without its xmp packet, standard and extended
+ */
+const removeXmp = (buffer) => {
+  const current = readSegments(buffer).segments.filter((candidate) => isXmp(buffer, candidate));
+  return current.length > 0 ? replaceSegments(buffer, current, Buffer.alloc(0)) : buffer;
+}
+
+/**
+ * @returns {Buffer | undefined} the JUMBF box of the APP11 segments, put back
+ * together, if any
+ */
+const readJumbf = (buffer) => {
+  const packets = readSegments(buffer).segments
+    .filter((segment) => isJumbf(buffer, segment) && buffer.readUInt16BE(segment.start + 6) === JUMBF_INSTANCE)
+    .map((segment) => ({ sequence: buffer.readUInt32BE(segment.start + 8), data: buffer.slice(segment.start + 4 + JUMBF_PACKET_HEADER_LENGTH, segment.end) }))
+    .sort((a, b) => a.sequence - b.sequence);
+  if (packets.length === 0) {
+    return undefined;
+  }
+
+  return Buffer.concat(packets.map(({ data }, i) => (i === 0 ? data : data.slice(JUMBF_BOX_HEADER_LENGTH))));
+}
+
+/**
+ * @returns {Buffer} the JPEG with `jumbf` in APP11 segments, in place of the
+ * current ones, or else after the APP0 (JFIF) / APP1 (Exif, xmp) segments
+ */
+const writeJumbf = (buffer, jumbf) => {
+  const boxHeader = jumbf.slice(0, JUMBF_BOX_HEADER_LENGTH);
+  const first = MAX_SEGMENT_DATA - JUMBF_PACKET_HEADER_LENGTH;
+  const next = first - JUMBF_BOX_HEADER_LENGTH;
+
+  const segments = [];
+  for (let pos = 0, sequence = 1; pos < jumbf.length; sequence++) {
+    const size = sequence === 1 ? first : next;
+    const packetHeader = Buffer.concat([JUMBF_APP11_HEADER, Buffer.alloc(6)]);
+    packetHeader.writeUInt16BE(JUMBF_INSTANCE, 2);
+    packetHeader.writeUInt32BE(sequence, 4);
+    const data = jumbf.slice(pos, pos + size);
+    segments.push(segmentOf(0xeb, Buffer.concat(sequence === 1 ? [packetHeader, data] : [packetHeader, boxHeader, data])));
+    pos += size;
+  }
+
+  const current = readSegments(buffer).segments.filter((candidate) => isJumbf(buffer, candidate));
+  return replaceSegments(buffer, current, Buffer.concat(segments));
+}
+
+/**
+ * @returns {Buffer} the JPEG without its APP11 JUMBF segments
+ */
+const removeJumbf = (buffer) => {
+  const current = readSegments(buffer).segments.filter((candidate) => isJumbf(buffer, candidate));
+  return current.length > 0 ? replaceSegments(buffer, current, Buffer.alloc(0)) : buffer;
+}
+
+module.exports = {
+  name: 'jpeg',
+  extensions: ['.jpg', '.jpeg'],
+  mimeTypes: ['image/jpeg'],
+  embedding: 'xmp',
+  detect,
+  content,
+  readXmp,
+  writeXmp,
+  removeXmp,
+  readJumbf,
+  writeJumbf,
+  removeJumbf,
+  ...xmpStampAccessors({ readXmp, writeXmp, removeXmp }, { padding: 24 }),
+};
@@ -0,0 +1,80 @@
+/**
+ * OpenDocument (ODT / ODS / ODP / ODG): exiftool can't write it, the stamp is
+ * written by us as an xmp packet in `META-INF/xmpStamp.xml`. Files under
+ * META-INF (like the document signatures) are not listed in the manifest, so
+ * no other part changes.
+ *
+ * Content: every file by name and uncompressed data, except the stamp
+ */
+const { NAMESPACE } = require('../schema');
+const { serializeStampXmp, parseStampXmp } = require('../xmp');
+const { isZip, zipContent, readEntry, updateZip } = require('./zip');
+
+// =============================================================================
+// Const
+// =============================================================================
+// The first entry of the zip, stored uncompressed
+const MIMETYPE = 'mimetype';
+const MIMETYPE_PREFIX = 'application/vnd.oasis.opendocument.';
+
+const STAMP_FILE = `META-INF/${NAMESPACE.prefix}.xml`;
+
+// =============================================================================
+// Functions
+// =============================================================================
+const detect = (buffer) => {
+  if (!isZip(buffer) || buffer.length < 30) {
+    return false;
+  }
+
+  // Local file header: name length at 26, extra field length at 28, name at 30
+  const nameLength = buffer.readUInt16LE(26);
+  const dataStart = 30 + nameLength + buffer.readUInt16LE(28);
+  return buffer.toString('latin1', 30, 30 + nameLength) === MIMETYPE
+    && buffer.toString('latin1', dataStart, dataStart + MIMETYPE_PREFIX.length) === MIMETYPE_PREFIX;
+}
+
+/**
+ * @returns {Promise<Buffer[]>} the parts of the document that are hashed
+ */
+const content = (buffer) => zipContent(buffer, { exclude: [STAMP_FILE] });
+
+/**
+ * @returns {Promise<import('../stamp').Stamp | undefined>}
+ */
+const readStamp = async (buffer) => {
+  const file = await readEntry(buffer, STAMP_FILE);
+  return file ? parseStampXmp(file.toString('utf8')) : undefined;
+}
+
+/**
+ * @returns {Promise<Buffer>} the document with `stamp` in place of the current one
+ */
+const writeStamp = (buffer, stamp) => updateZip(buffer, { [STAMP_FILE]: serializeStampXmp(stamp) }, { stored: [MIMETYPE] });
+
+/**
+ * @returns {Promise<Buffer>} the document without the stamp
+ */
+const clearStamp = async (buffer) => {
+  if (!await readEntry(buffer, STAMP_FILE)) {
+    return buffer;
+  }
+  return updateZip(buffer, { [STAMP_FILE]: null }, { stored: [MIMETYPE] });
+}
+
+module.exports = {
+  name: 'odf',
+  extensions: ['.odt', '.ods', '.odp', '.odg'],
+  mimeTypes: [
+    `${MIMETYPE_PREFIX}text`,
+    `${MIMETYPE_PREFIX}spreadsheet`,
+    `${MIMETYPE_PREFIX}presentation`,
+    `${MIMETYPE_PREFIX}graphics`,
+  ],
+  embedding: 'odf-part',
+  detect,
+  content,
+  readStamp,
+  writeStamp,
+  clearStamp,
+};
@@ -0,0 +1,113 @@
+/**
+ * Office Open XML (DOCX / XLSX / PPTX): exiftool can't write it, the stamp is
+ * written by us as an xmp packet in a part of its own, `customXml/xmpStamp.xml`,
+ * with its content type and a package relationship pointing at it.
+ *
+ * Content: every part by name and uncompressed data, except the stamp part,
+ * with its content type and relationship left out
+ */
+const { NAMESPACE } = require('../schema');
+const { serializeStampXmp, parseStampXmp } = require('../xmp');
+const { isZip, zipContent, readEntry, updateZip } = require('./zip');
+
+// =============================================================================
+// Const
+// =============================================================================
+const CONTENT_TYPES = '[Content_Types].xml';
+const PACKAGE_RELATIONSHIPS = '_rels/.rels';
+
+const STAMP_PART = `customXml/${NAMESPACE.prefix}.xml`;
+const STAMP_CONTENT_TYPE = `<Override PartName="/${STAMP_PART}" ContentType="application/rdf+xml"/>`;
+const STAMP_RELATIONSHIP = `<Relationship Id="${NAMESPACE.prefix}" Type="${NAMESPACE.uri}relationships/stamp" Target="${STAMP_PART}"/>`;
+
+// =============================================================================
+// Functions
+// =============================================================================
+const detect = (buffer) => isZip(buffer) && buffer.includes(CONTENT_TYPES);
+
+const remove = (data, snippet) => Buffer.from(data.toString('utf8').replace(snippet, ''), 'utf8');
+
+const insertBefore = (data, closingTag, snippet) => {
+  const text = data.toString('utf8');
+  if (text.includes(snippet)) {
+    return text;
+  }
+
+  const index = text.lastIndexOf(closingTag);
+  if (index === -1) {
+    throw new Error(`Invalid OOXML: no ${closingTag}`);
+  }
+  return `${text.slice(0, index)}${snippet}${text.slice(index)}`;
+}
+
+/**
+ * @returns {Promise<Buffer[]>} the parts of the package that are hashed
+ */
+const content = (buffer) => zipContent(buffer, {
+  exclude: [STAMP_PART],
+  normalize: (name, data) => {
+    if (name === CONTENT_TYPES) {
+      return remove(data, STAMP_CONTENT_TYPE);
+    }
+    if (name === PACKAGE_RELATIONSHIPS) {
+      return remove(data, STAMP_RELATIONSHIP);
+    }
+    return data;
+  },
+});
+
+/**
+ * @returns {Promise<import('../stamp').Stamp | undefined>}
+ */
+const readStamp = async (buffer) => {
+  const part = await readEntry(buffer, STAMP_PART);
+  return part ? parseStampXmp(part.toString('utf8')) : undefined;
+}
+
+/**
+ * @returns {Promise<Buffer>} the package with `stamp` in place of the current one
+ */
+const writeStamp = async (buffer, stamp) => {
+  const contentTypes = await readEntry(buffer, CONTENT_TYPES);
+  const relationships = await readEntry(buffer, PACKAGE_RELATIONSHIPS);
+  if (!contentTypes || !relationships) {
+    throw new Error(`Invalid OOXML: no ${CONTENT_TYPES} or ${PACKAGE_RELATIONSHIPS}`);
+  }
+
+  return updateZip(buffer, {
+    [STAMP_PART]: serializeStampXmp(stamp),
+    [CONTENT_TYPES]: insertBefore(contentTypes, '</Types>', STAMP_CONTENT_TYPE),
+    [PACKAGE_RELATIONSHIPS]: insertBefore(relationships, '</Relationships>', STAMP_RELATIONSHIP),
+  });
+}
+
+/**
+ * @returns {Promise<Buffer>} the package without the stamp
+ */
+const clearStamp = async (buffer) => {
+  if (!await readEntry(buffer, STAMP_PART)) {
+    return buffer;
+  }
+
+  return updateZip(buffer, {
+    [STAMP_PART]: null,
+    [CONTENT_TYPES]: remove(await readEntry(buffer, CONTENT_TYPES), STAMP_CONTENT_TYPE),
+    [PACKAGE_RELATIONSHIPS]: remove(await readEntry(buffer, PACKAGE_RELATIONSHIPS), STAMP_RELATIONSHIP),
+  });
+}
+
+module.exports = {
+  name: 'ooxml',
+  extensions: ['.docx', '.xlsx', '.pptx'],
+  mimeTypes: [
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  ],
+  embedding: 'ooxml-part',
+  detect,
+  content,
+  readStamp,
+  writeStamp,
+  clearStamp,
+};
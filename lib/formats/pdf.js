@@ -0,0 +1,155 @@
+/**
+ * PDF: the stamp is written as xmp by exiftool, in an incremental update, or
+ * in JS by an incremental update of our own (see ../pdf). clearStamp removes
+ * it in JS, as exiftool can't delete it from every PDF.
+ *
+ * Content: the document before the ExifTool and stamp incremental updates,
+ * without metadata streams and the trailer /ID. An update is only left out
+ * once read and found to change nothing but the metadata stream and the
+ * catalog's /Metadata: anyone can end an update with the same comment
+ */
+const { readPdf, sameValue } = require('../pdfsyntax');
+const { removeStampXmp } = require('../xmp');
+
+// =============================================================================
+// Const
+// =============================================================================
+const PDF_HEADER = Buffer.from('%PDF-');
+
+// ExifTool appends its PDF edits as one incremental update, ending with this
+// comment holding the length of the document before the update
+const PDF_EXIFTOOL_UPDATE_RE = /%EndExifToolUpdate (\d+)\s*[\r\n]+startxref\s+\d+\s+%%EOF\s*$/;
+// An incremental stamp update (see ../pdf) ends the same way, with its own comment
+const PDF_STAMP_UPDATE_RE = /%EndXmpStampUpdate (\d+)\s*[\r\n]+startxref\s+\d+\s+%%EOF\s*$/;
+const PDF_METADATA_OBJECT_RE = /\d+\s+\d+\s+obj\s*<<(?:(?!endobj)[\s\S])*?\/Type\s*\/Metadata[\s\S]*?endobj/g;
+const PDF_TRAILER_ID_RE = /\/ID\s*\[[^\]]*\]/g;
+const XMP_PACKET_RE = /<\?xpacket begin=[\s\S]*?(<\?xpacket end=(["'])[rw]\2\s*\?>)/g;
+
+// =============================================================================
+// Functions
+// =============================================================================
+const detect = (buffer) => buffer.slice(0, PDF_HEADER.length).equals(PDF_HEADER);
+
+/**
+ * @returns {number | undefined} the length of the document before its last
+ * ExifTool incremental update, undefined without one
+ */
+const exifToolUpdateStart = (buffer) => {
+  // latin1 maps bytes 1:1, so offsets in the string are offsets in the buffer
+  const update = PDF_EXIFTOOL_UPDATE_RE.exec(buffer.toString('latin1'));
+  return update ? Number(update[1]) : undefined;
+}
+
+/**
+ * @returns {number | undefined} the length of the document before its last
+ * incremental stamp update, undefined if it doesn't end with one
+ */
+const stampUpdateStart = (buffer) => {
+  const update = PDF_STAMP_UPDATE_RE.exec(buffer.toString('latin1'));
+  return update ? Number(update[1]) : undefined;
+}
+
+/**
+ * @returns {number | undefined} the length of the document before its last
+ * update, ExifTool's or a stamp update, undefined if it doesn't end with one
+ */
+const lastUpdateStart = (buffer) => {
+  const start = stampUpdateStart(buffer);
+  return start === undefined ? exifToolUpdateStart(buffer) : start;
+}
+
+/**
+ * @returns {boolean} whether the update of `buffer` from `start` on, its last,
+ * only (re)defines the catalog's metadata stream and the catalog, the catalog
+ * changing only by its /Metadata, and keeps the trailer's /Root and /Info
+ */
+const isMetadataUpdate = (buffer, start) => {
+  try {
+    const before = readPdf(buffer.slice(0, start));
+    const after = readPdf(buffer);
+    const root = after.trailer.entries.get('Root');
+    const prev = after.trailer.entries.get('Prev');
+    if (after.startxref < start || !prev || prev.value !== before.startxref || !root || root.type !== 'ref'
+      || !sameValue(root, before.trailer.entries.get('Root'))
+      || !sameValue(after.trailer.entries.get('Info'), before.trailer.entries.get('Info'))) {
+      return false;
+    }
+
+    const catalog = after.resolve(root);
+    const previousCatalog = before.resolve(root);
+    const others = (dict) => [...dict.entries].filter(([key]) => key !== 'Metadata');
+    if (!catalog || !previousCatalog || catalog.type !== 'dict' || previousCatalog.type !== 'dict'
+      || others(catalog).length !== others(previousCatalog).length
+      || !others(catalog).every(([key, value]) => sameValue(value, previousCatalog.entries.get(key)))) {
+      return false;
+    }
+
+    const metadata = catalog.entries.get('Metadata');
+    const previousMetadata = previousCatalog.entries.get('Metadata');
+    return [...after.updated].every(([num, entry]) => {
+      if (entry === null) {
+        // The head of the free list, always free
+        return num === 0;
+      }
+      if (entry.type === 1 && entry.offset === after.startxref) {
+        // The update's own cross-reference stream
+        return true;
+      }
+      if (num === root.num) {
+        return true;
+      }
+      // The metadata stream, in place of the one before or under a number no object had
+      return metadata !== undefined && metadata.type === 'ref' && num === metadata.num
+        && (before.getObject(num) === undefined || (previousMetadata !== undefined && previousMetadata.num === num));
+    });
+  } catch (e) {
+    // Not an update we can read, so not one we can leave out
+    return false;
+  }
+}
+
+/**
+ * @returns {Buffer[]} the parts of the PDF that are hashed
+ */
+const content = (buffer) => {
+  let end = buffer.length;
+  let start = lastUpdateStart(buffer);
+  while (start !== undefined && start < end && isMetadataUpdate(buffer.slice(0, end), start)) {
+    end = start;
+    start = lastUpdateStart(buffer.slice(0, end));
+  }
+  const text = buffer.toString('latin1', 0, end)
+    .replace(PDF_METADATA_OBJECT_RE, '')
+    .replace(PDF_TRAILER_ID_RE, '');
+
+  return [Buffer.from(text, 'latin1')];
+}
+
+/**
+ * @returns {Buffer} the PDF with the stamp removed from every uncompressed xmp
+ * packet, each padded back to its length with spaces so no offset moves
+ */
+const clearStamp = async (buffer) => {
+  // latin1 maps bytes 1:1, and the packet markup is ASCII
+  const text = buffer.toString('latin1').replace(XMP_PACKET_RE, (packet, end) => {
+    const stripped = removeStampXmp(packet);
+    const body = stripped.slice(0, stripped.length - end.length);
+    return `${body}${' '.repeat(packet.length - stripped.length)}${end}`;
+  });
+
+  return Buffer.from(text, 'latin1');
+}
+
+module.exports = {
+  name: 'pdf',
+  extensions: ['.pdf'],
+  mimeTypes: ['application/pdf'],
+  embedding: 'xmp',
+  detect,
+  content,
+  clearStamp,
+  exifToolUpdateStart,
+  stampUpdateStart,
+  lastUpdateStart,
+  isMetadataUpdate,
+};
@@ -0,0 +1,187 @@
+/**
+ * PNG: the stamp is written as xmp (iTXt chunk), in JS by readXmp / writeXmp.
+ * The packet is laid out as exiftool lays it out, without padding. A C2PA
+ * manifest store (JUMBF, see ../c2pa) goes in a `caBX` chunk, as C2PA puts it.
+ *
+ * Content: every chunk except the iTXt `XML:com.adobe.xmp` chunk, the
+ * `Raw profile type iptc` text chunk and the `caBX` chunk
+ */
+const zlib = require('zlib');
+
+const { xmpStampAccessors } = require('../xmp');
+
+// =============================================================================
+// Const
+// =============================================================================
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const PNG_XMP_KEYWORD = Buffer.from('XML:com.adobe.xmp\0');
+const PNG_IPTC_KEYWORD = Buffer.from('Raw profile type iptc\0');
+const JUMBF_CHUNK = 'caBX';
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+// =============================================================================
+// Functions
+// =============================================================================
+const detect = (buffer) => buffer.slice(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE);
+
+/**
+ * @returns {{type: string, start: number, end: number}[]} the chunks, up to IEND
+ */
+const readChunks = (buffer) => {
+  const chunks = [];
+  let pos = PNG_SIGNATURE.length;
+
+  while (pos < buffer.length) {
+    const length = buffer.readUInt32BE(pos);
+    const type = buffer.toString('latin1', pos + 4, pos + 8);
+    // length + type + data + crc
+    const end = pos + 12 + length;
+    chunks.push({ type, start: pos, end });
+    pos = end;
+
+    if (type === 'IEND') {
+      break;
+    }
+  }
+
+  return chunks;
+}
+
+const hasKeyword = (buffer, { start }, keyword) => buffer.slice(start + 8, start + 8 + keyword.length).equals(keyword);
+
+const isXmp = (buffer, chunk) => chunk.type === 'iTXt' && hasKeyword(buffer, chunk, PNG_XMP_KEYWORD);
+
+/**
+ * @returns {Buffer[]} the parts of the PNG that are hashed
+ */
+const content = (buffer) => {
+  const isIptc = (chunk) => ['tEXt', 'zTXt', 'iTXt'].includes(chunk.type) && hasKeyword(buffer, chunk, PNG_IPTC_KEYWORD);
+
+  return [
+    PNG_SIGNATURE,
+    ...readChunks(buffer)
+      .filter((chunk) => !isXmp(buffer, chunk) && !isIptc(chunk) && chunk.type !== JUMBF_CHUNK)
+      .map(({ start, end }) => buffer.slice(start, end)),
+  ];
+}
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * @returns {string | undefined} the xmp packet (iTXt), if any
+ */
+const readXmp = (buffer) => {
+  const chunk = readChunks(buffer).find((candidate) => isXmp(buffer, candidate));
+  if (!chunk) {
+    return undefined;
+  }
+
+  // keyword\0, compression flag, compression method, language\0, translated keyword\0, text
+  let pos = chunk.start + 8 + PNG_XMP_KEYWORD.length;
+  const compressed = buffer[pos] === 1;
+  pos = buffer.indexOf(0, pos + 2) + 1;
+  pos = buffer.indexOf(0, pos) + 1;
+  const text = buffer.slice(pos, chunk.end - 4);
+  return (compressed ? zlib.inflateSync(text) : text).toString('utf8');
+}
+
+/**
+ * @returns {Buffer} a chunk of `type` around `data`, with its CRC
+ */
+const chunkOf = (type, data) => {
+  const typeAndData = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * @returns {Buffer} the PNG with `chunk` in place of the first chunk matching
+ * `isCurrent`, or else before the first IDAT
+ */
+const replaceChunk = (buffer, isCurrent, chunk) => {
+  const chunks = readChunks(buffer);
+  const current = chunks.find(isCurrent);
+  const at = current || chunks.find(({ type }) => type === 'IDAT');
+  if (!at) {
+    throw new Error('Invalid PNG: no IDAT chunk');
+  }
+  return Buffer.concat([buffer.slice(0, at.start), chunk, buffer.slice(current ? current.end : at.start)]);
+}
+
+/**
+ * @returns {Buffer} the PNG with `xml` as its xmp packet (uncompressed iTXt,
+ * as exiftool writes it), in place of the current one, or else before the
+ * first IDAT
+ */
+const writeXmp = (buffer, xml) => {
+  const chunk = chunkOf('iTXt', Buffer.concat([
+    PNG_XMP_KEYWORD,
+    // Not compressed, no language, no translated keyword
+    Buffer.from([0, 0, 0, 0]),
+    Buffer.from(xml, 'utf8'),
+  ]));
+  return replaceChunk(buffer, (candidate) => isXmp(buffer, candidate), chunk);
+}
+
+/**
+ * @returns {Buffer} the PNG without its xmp packet
+ */
+const removeXmp = (buffer) => {
+  const current = readChunks(buffer).find((candidate) => isXmp(buffer, candidate));
+  return current ? Buffer.concat([buffer.slice(0, current.start), buffer.slice(current.end)]) : buffer;
+}
+
+/**
+ * @returns {Buffer | undefined} the JUMBF box of the caBX chunk, if any
+ */
+const readJumbf = (buffer) => {
+  const chunk = readChunks(buffer).find(({ type }) => type === JUMBF_CHUNK);
+  return chunk && buffer.slice(chunk.start + 8, chunk.end - 4);
+}
+
+/**
+ * @returns {Buffer} the PNG with `jumbf` as its caBX chunk, in place of the
+ * current one, or else before the first IDAT
+ */
+const writeJumbf = (buffer, jumbf) => replaceChunk(buffer, ({ type }) => type === JUMBF_CHUNK, chunkOf(JUMBF_CHUNK, jumbf));
+
+/**
+ * @returns {Buffer} the PNG without its caBX chunk
+ */
+const removeJumbf = (buffer) => {
+  const current = readChunks(buffer).find(({ type }) => type === JUMBF_CHUNK);
+  return current ? Buffer.concat([buffer.slice(0, current.start), buffer.slice(current.end)]) : buffer;
+}
+
+module.exports = {
+  name: 'png',
+  extensions: ['.png'],
+  mimeTypes: ['image/png'],
+  embedding: 'xmp',
+  detect,
+  content,
+  readXmp,
+  writeXmp,
+  removeXmp,
+  readJumbf,
+  writeJumbf,
+  removeJumbf,
+  ...xmpStampAccessors({ readXmp, writeXmp, removeXmp }, { writable: false }),
+};
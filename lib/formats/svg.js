@@ -0,0 +1,64 @@
+/**
+ * SVG: exiftool can't write it, the stamp is written by us as an xmp packet
+ * in a `<metadata>` element right after the `<svg>` start tag.
+ *
+ * Content: the document without that element
+ */
+const { NAMESPACE } = require('../schema');
+const { serializeStampXmp, parseStampXmp } = require('../xmp');
+
+// =============================================================================
+// Const
+// =============================================================================
+const HEAD_RE = /^\uFEFF?\s*(?:<\?xml[^>]*\?>\s*)?(?:(?:<!--[\s\S]*?-->|<!DOCTYPE[^>]*>)\s*)*<svg[\s>]/;
+const SVG_START_TAG_RE = /<svg(?:\s+[^\s=>/]+\s*=\s*(?:"[^"]*"|'[^']*'))*\s*>/;
+const STAMP_ELEMENT_RE = new RegExp(`\\n?<metadata id="${NAMESPACE.prefix}">([\\s\\S]*?)</metadata>`);
+
+// =============================================================================
+// Functions
+// =============================================================================
+const detect = (buffer) => HEAD_RE.test(buffer.toString('utf8', 0, 4096));
+
+const removeStamp = (text) => text.replace(STAMP_ELEMENT_RE, '');
+
+/**
+ * @returns {Buffer[]} the parts of the SVG that are hashed
+ */
+const content = (buffer) => [Buffer.from(removeStamp(buffer.toString('utf8')), 'utf8')];
+
+/**
+ * @returns {import('../stamp').Stamp | undefined}
+ */
+const readStamp = (buffer) => {
+  const element = STAMP_ELEMENT_RE.exec(buffer.toString('utf8'));
+  return element ? parseStampXmp(element[1]) : undefined;
+}
+
+/**
+ * @returns {Buffer} the SVG with `stamp` in place of the current one
+ */
+const writeStamp = (buffer, stamp) => {
+  const text = removeStamp(buffer.toString('utf8'));
+  const startTag = SVG_START_TAG_RE.exec(text);
+  if (!startTag) {
+    throw new Error('Invalid SVG: no <svg> start tag');
+  }
+
+  const end = startTag.index + startTag[0].length;
+  const element = `\n<metadata id="${NAMESPACE.prefix}">\n${serializeStampXmp(stamp)}\n</metadata>`;
+  return Buffer.from(`${text.slice(0, end)}${element}${text.slice(end)}`, 'utf8');
+}
+
+const clearStamp = (buffer) => Buffer.from(removeStamp(buffer.toString('utf8')), 'utf8');
+
+module.exports = {
+  name: 'svg',
+  extensions: ['.svg'],
+  mimeTypes: ['image/svg+xml'],
+  embedding: 'svg-metadata',
+  detect,
+  content,
+  readStamp,
+  writeStamp,
+  clearStamp,
+};
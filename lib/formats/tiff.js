@@ -0,0 +1,114 @@
+/**
+ * TIFF: the stamp is written as xmp by exiftool (IFD0 tag 700).
+ *
+ * exiftool rewrites the IFDs on every write, which moves the image data and
+ * changes every offset. Content: the tags of every IFD by value, except xmp,
+ * IPTC and Photoshop, with offsets replaced by the data they point to and
+ * sub-IFD pointers by the sub-IFD
+ */
+
+// =============================================================================
+// Const
+// =============================================================================
+const TIFF_HEADERS = [
+  Buffer.from([0x49, 0x49, 0x2a, 0x00]),
+  Buffer.from([0x4d, 0x4d, 0x00, 0x2a]),
+];
+
+// Bytes per value of each field type
+const TYPE_SIZES = {
+  1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4,
+};
+
+const XMP_TAG = 700;
+const IPTC_TAG = 33723;
+const PHOTOSHOP_TAG = 34377;
+const SKIPPED_TAGS = [XMP_TAG, IPTC_TAG, PHOTOSHOP_TAG];
+
+// Offset tag => tag holding the byte count of each offset
+const OFFSET_TAGS = {
+  273: 279, // StripOffsets => StripByteCounts
+  324: 325, // TileOffsets => TileByteCounts
+  513: 514, // JPEGInterchangeFormat => JPEGInterchangeFormatLength
+};
+// Free space, meaningless once rewritten
+const FREE_TAGS = [288, 289];
+// SubIFDs, ExifIFD, GPSInfo, InteropIFD
+const IFD_POINTER_TAGS = [330, 34665, 34853, 40965];
+
+// =============================================================================
+// Functions
+// =============================================================================
+const detect = (buffer) => TIFF_HEADERS.some((header) => buffer.slice(0, header.length).equals(header));
+
+/**
+ * @returns {Buffer[]} the parts of the TIFF that are hashed
+ */
+const content = (buffer) => {
+  const littleEndian = buffer[0] === 0x49;
+  const u16 = (pos) => (littleEndian ? buffer.readUInt16LE(pos) : buffer.readUInt16BE(pos));
+  const u32 = (pos) => (littleEndian ? buffer.readUInt32LE(pos) : buffer.readUInt32BE(pos));
+
+  const parts = [buffer.slice(0, 4)];
+  const visited = new Set();
+
+  const readIfd = (offset) => {
+    const entries = {};
+    const count = u16(offset);
+    for (let i = 0; i < count; i++) {
+      const pos = offset + 2 + i * 12;
+      const tag = u16(pos);
+      const type = u16(pos + 2);
+      const length = u32(pos + 4) * (TYPE_SIZES[type] || 1);
+      const valueOffset = length > 4 ? u32(pos + 8) : pos + 8;
+      entries[tag] = { header: buffer.slice(pos, pos + 8), type, count: u32(pos + 4), value: buffer.slice(valueOffset, valueOffset + length) };
+    }
+    return { entries, next: u32(offset + 2 + count * 12) };
+  }
+
+  const numbers = ({ type, count, value }) => Array.from({ length: count }, (_, i) => {
+    if (type === 3) {
+      return littleEndian ? value.readUInt16LE(i * 2) : value.readUInt16BE(i * 2);
+    }
+    return littleEndian ? value.readUInt32LE(i * 4) : value.readUInt32BE(i * 4);
+  });
+
+  const hashIfd = (offset) => {
+    if (offset === 0 || visited.has(offset) || offset >= buffer.length) {
+      return;
+    }
+    visited.add(offset);
+
+    const { entries, next } = readIfd(offset);
+    Object.keys(entries).map(Number).sort((a, b) => a - b).forEach((tag) => {
+      const entry = entries[tag];
+      if (SKIPPED_TAGS.includes(tag) || FREE_TAGS.includes(tag)) {
+        return;
+      }
+
+      parts.push(entry.header);
+      if (OFFSET_TAGS[tag] !== undefined && entries[OFFSET_TAGS[tag]]) {
+        const lengths = numbers(entries[OFFSET_TAGS[tag]]);
+        numbers(entry).forEach((start, i) => parts.push(buffer.slice(start, start + lengths[i])));
+      } else if (IFD_POINTER_TAGS.includes(tag)) {
+        numbers(entry).forEach(hashIfd);
+      } else {
+        parts.push(entry.value);
+      }
+    });
+
+    hashIfd(next);
+  }
+
+  hashIfd(u32(4));
+  return parts;
+}
+
+module.exports = {
+  name: 'tiff',
+  extensions: ['.tif', '.tiff'],
+  mimeTypes: ['image/tiff'],
+  embedding: 'xmp',
+  detect,
+  content,
+};
@@ -0,0 +1,52 @@
+/**
+ * WebP: the stamp is written as xmp by exiftool (`XMP ` chunk).
+ *
+ * Content: every RIFF chunk except `XMP ` and `VP8X`. exiftool turns a simple
+ * WebP into an extended one to add the xmp, and `VP8X` only holds the canvas
+ * size (also in the image chunk) and flags for which chunks are present
+ */
+
+// =============================================================================
+// Const
+// =============================================================================
+const RIFF = Buffer.from('RIFF');
+const WEBP = Buffer.from('WEBP');
+
+const SKIPPED_CHUNKS = ['XMP ', 'VP8X'];
+
+// =============================================================================
+// Functions
+// =============================================================================
+const detect = (buffer) => buffer.slice(0, 4).equals(RIFF) && buffer.slice(8, 12).equals(WEBP);
+
+/**
+ * @returns {Buffer[]} the parts of the WebP that are hashed
+ */
+const content = (buffer) => {
+  const parts = [WEBP];
+  const end = Math.min(buffer.length, 8 + buffer.readUInt32LE(4));
+  let pos = 12;
+
+  while (pos + 8 <= end) {
+    const type = buffer.toString('latin1', pos, pos + 4);
+    const length = buffer.readUInt32LE(pos + 4);
+    // type + length + data, padded to an even length
+    const chunkEnd = pos + 8 + length + (length % 2);
+
+    if (!SKIPPED_CHUNKS.includes(type)) {
+      parts.push(buffer.slice(pos, pos + 8 + length));
+    }
+    pos = chunkEnd;
+  }
+
+  return parts;
+}
+
+module.exports = {
+  name: 'webp',
+  extensions: ['.webp'],
+  mimeTypes: ['image/webp'],
+  embedding: 'xmp',
+  detect,
+  content,
+};
@@ -0,0 +1,88 @@
+/**
+ * Zip helpers for the container formats (OOXML, ODF), where the stamp is a
+ * part of its own inside the zip.
+ */
+const JSZip = require('jszip');
+
+// =============================================================================
+// Const
+// =============================================================================
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+// =============================================================================
+// Functions
+// =============================================================================
+const isZip = (buffer) => buffer.slice(0, ZIP_SIGNATURE.length).equals(ZIP_SIGNATURE);
+
+/**
+ * @returns {Buffer} the length of `data` (8 bytes, big endian), then `data`
+ */
+const lengthPrefixed = (data) => {
+  const length = Buffer.alloc(8);
+  length.writeBigUInt64BE(BigInt(data.length));
+  return Buffer.concat([length, data]);
+}
+
+/**
+ * Name and uncompressed data of every entry, sorted by name, so recompressing
+ * or reordering the zip doesn't change the digest. Each is prefixed with its
+ * length, so no entry can pass for a part of the one before
+ *
+ * @param {{exclude?: string[], normalize?: (name: string, data: Buffer) => Buffer}} options
+ * `exclude`: entries left out, `normalize`: the data that is hashed for an entry
+ * @returns {Promise<Buffer[]>}
+ */
+const zipContent = async (buffer, { exclude = [], normalize = (name, data) => data } = {}) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const parts = [];
+
+  for (const name of Object.keys(zip.files).sort()) {
+    const entry = zip.files[name];
+    if (!entry.dir && !exclude.includes(name)) {
+      parts.push(lengthPrefixed(Buffer.from(name, 'utf8')), lengthPrefixed(normalize(name, await entry.async('nodebuffer'))));
+    }
+  }
+
+  return parts;
+}
+
+/**
+ * @returns {Promise<Buffer | undefined>} the uncompressed data of entry `name`
+ */
+const readEntry = async (buffer, name) => {
+  const entry = (await JSZip.loadAsync(buffer)).file(name);
+  return entry ? entry.async('nodebuffer') : undefined;
+}
+
+/**
+ * @param {Object<string, Buffer | string | null>} changes entry name => new
+ * data, `null` removes the entry. Entries keep their date and added ones get
+ * the date of the first entry, so the same input and changes give the same bytes
+ * @param {{stored?: string[]}} options entries to write uncompressed
+ * @returns {Promise<Buffer>} the updated zip
+ */
+const updateZip = async (buffer, changes, { stored = [] } = {}) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const [first] = Object.values(zip.files);
+
+  Object.entries(changes).forEach(([name, data]) => {
+    if (data === null) {
+      zip.remove(name);
+    } else {
+      const { date } = zip.file(name) || first || {};
+      zip.file(name, data, { date, createFolders: false });
+    }
+  });
+  for (const entry of stored.map((name) => zip.file(name)).filter(Boolean)) {
+    zip.file(entry.name, await entry.async('nodebuffer'), { date: entry.date, compression: 'STORE' });
+  }
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+module.exports = {
+  isZip,
+  zipContent,
+  readEntry,
+  updateZip,
+};
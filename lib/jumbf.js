@@ -0,0 +1,98 @@
+/**
+ * JUMBF (ISO/IEC 19566-5) boxes, as far as a C2PA manifest store needs them:
+ * superboxes (`jumb`) made of a description box (`jumd`: content type UUID,
+ * toggles and label) and content boxes, e.g. `json`.
+ *
+ * Every box is `LBox` (32 bit size, header included) + `TBox` (4 letter type)
+ * + payload.
+ */
+
+// =============================================================================
+// Const
+// =============================================================================
+const BOX_HEADER_LENGTH = 8;
+
+// Description toggles: requestable, label present
+const REQUESTABLE_WITH_LABEL = 0x03;
+
+// =============================================================================
+// Functions
+// =============================================================================
+/**
+ * @returns {Buffer} a box of `type` around `payload`
+ */
+const box = (type, payload) => {
+  const header = Buffer.alloc(BOX_HEADER_LENGTH);
+  header.writeUInt32BE(BOX_HEADER_LENGTH + payload.length);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * @param {string} uuid content type, e.g. `6a736f6e-0011-0010-8000-00aa00389b71`
+ * @param {Buffer[]} boxes the content boxes
+ * @returns {Buffer} a `jumb` superbox
+ */
+const superbox = (uuid, label, boxes) => {
+  const description = box('jumd', Buffer.concat([
+    Buffer.from(uuid.replace(/-/g, ''), 'hex'),
+    Buffer.from([REQUESTABLE_WITH_LABEL]),
+    Buffer.from(`${label}\0`, 'utf8'),
+  ]));
+  return box('jumb', Buffer.concat([description, ...boxes]));
+}
+
+/**
+ * @returns {{type: string, payload: Buffer}[]} the boxes of `buffer`, one
+ * after the other
+ */
+const readBoxes = (buffer) => {
+  const boxes = [];
+  let pos = 0;
+
+  while (pos + BOX_HEADER_LENGTH <= buffer.length) {
+    const length = buffer.readUInt32BE(pos);
+    if (length < BOX_HEADER_LENGTH || pos + length > buffer.length) {
+      throw new Error(`Invalid JUMBF: box of ${length} bytes at offset ${pos}`);
+    }
+    boxes.push({ type: buffer.toString('latin1', pos + 4, pos + 8), payload: buffer.slice(pos + BOX_HEADER_LENGTH, pos + length) });
+    pos += length;
+  }
+
+  return boxes;
+}
+
+/**
+ * @typedef {{uuid: string, label?: string, boxes: ({type: string, payload: Buffer} | Superbox)[]}} Superbox
+ * @returns {Superbox} the `jumb` superbox `buffer` starts with, its content
+ * superboxes parsed too
+ */
+const parseSuperbox = (buffer) => {
+  const [jumb] = readBoxes(buffer);
+  if (!jumb || jumb.type !== 'jumb') {
+    throw new Error('Invalid JUMBF: no jumb superbox');
+  }
+
+  const [description, ...boxes] = readBoxes(jumb.payload);
+  if (!description || description.type !== 'jumd' || description.payload.length < 17) {
+    throw new Error('Invalid JUMBF: the superbox has no description box');
+  }
+
+  const hex = description.payload.toString('hex', 0, 16);
+  const uuid = [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20)].join('-');
+  const toggles = description.payload[16];
+  const labelEnd = description.payload.indexOf(0, 17);
+  const label = toggles & 0x02 ? description.payload.toString('utf8', 17, labelEnd === -1 ? undefined : labelEnd) : undefined;
+
+  return {
+    uuid,
+    label,
+    boxes: boxes.map((content) => (content.type === 'jumb' ? parseSuperbox(box('jumb', content.payload)) : content)),
+  };
+}
+
+module.exports = {
+  box,
+  superbox,
+  parseSuperbox,
+};
@@ -0,0 +1,113 @@
+/**
+ * Keyring of the signing keys, current and retired, so that rotating the
+ * signing key (e.g. the KMS key) doesn't break the verification of the files
+ * stamped earlier: every stamp carries the id of the key that signed it
+ * (`keyId`) and its algorithm, the keyring holds the public keys by key id.
+ *
+ * A retired key still verifies the stamps it signed until it was retired,
+ * not the ones claiming a later signing time. See ./rotate to re-sign the
+ * files of a retired key with the current one.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+
+const { createLocalSigner } = require('./signers');
+
+// =============================================================================
+// Const
+// =============================================================================
+const KEY_STATUS = {
+  CURRENT: 'current',
+  RETIRED: 'retired',
+  // Not in the keyring
+  UNKNOWN: 'unknown',
+};
+
+// =============================================================================
+// Functions
+// =============================================================================
+/**
+ * @typedef {Object} KeyringKey
+ * @property {import('./signers').Signer} signer verify-only for a retired key
+ * @property {string} [retiredAt] ISO time the key was retired at, none for the current key
+ *
+ * @typedef {Object} Keyring
+ * @property {KeyringKey[]} keys
+ * @property {import('./signers').Signer} current the signer of the current key
+ */
+
+/**
+ * @param {KeyringKey[]} keys exactly one of them current (no `retiredAt`)
+ * @returns {Keyring}
+ */
+const createKeyring = (keys) => {
+  const current = keys.filter(({ retiredAt }) => !retiredAt);
+  if (current.length !== 1) {
+    throw new Error(`A keyring has one current key, not ${current.length}`);
+  }
+  keys.forEach(({ signer, retiredAt }, i) => {
+    if (keys.findIndex((other) => other.signer.keyId === signer.keyId) !== i) {
+      throw new Error(`Key ${signer.keyId} is twice in the keyring`);
+    }
+    if (retiredAt && Number.isNaN(Date.parse(retiredAt))) {
+      throw new Error(`Invalid retiredAt of key ${signer.keyId}: ${retiredAt}`);
+    }
+  });
+
+  return { keys, current: current[0].signer };
+}
+
+/**
+ * Read a keyring file: JSON `{keys: [{publicKey, keyId?, retiredAt?}]}`,
+ * `publicKey` being the path to a PEM public key, relative to the file, and
+ * `keyId` defaulting to its fingerprint as for local signers
+ *
+ * @returns {Promise<Keyring>}
+ */
+const loadKeyring = async (file) => {
+  const { keys } = JSON.parse(await fs.readFile(file, 'utf8'));
+  if (!Array.isArray(keys)) {
+    throw new Error(`Invalid keyring ${file}: no keys`);
+  }
+
+  const loaded = [];
+  for (const { publicKey, keyId, retiredAt } of keys) {
+    const signer = createLocalSigner({ publicKey: await fs.readFile(path.resolve(path.dirname(file), publicKey)), keyId });
+    loaded.push({ signer, ...(retiredAt ? { retiredAt } : {}) });
+  }
+  return createKeyring(loaded);
+}
+
+/**
+ * @param {Date} [at] when the stamp was signed, as proven by its trusted
+ * timestamp (see ./tsa): the `signedAt` a stamp claims proves nothing. Without
+ * it, a retired key is only used until it is retired
+ * @returns {{signer?: import('./signers').Signer, key: {keyId: string, status: string, retiredAt?: string, error?: string}}}
+ * the signer of the key `keyId` in `keyring`, and the key as reported: its
+ * KEY_STATUS, and why it can't have signed at `at` if it can't
+ */
+const keyringKey = (keyring, keyId, at) => {
+  const found = keyring.keys.find(({ signer }) => signer.keyId === keyId);
+  if (!found) {
+    return { key: { keyId, status: KEY_STATUS.UNKNOWN, error: `Key ${keyId} is not in the keyring` } };
+  }
+  if (!found.retiredAt) {
+    return { signer: found.signer, key: { keyId, status: KEY_STATUS.CURRENT } };
+  }
+
+  const key = { keyId, status: KEY_STATUS.RETIRED, retiredAt: found.retiredAt };
+  if (!at && !(new Date() < new Date(found.retiredAt))) {
+    return { key: { ...key, error: `Key ${keyId} was retired at ${found.retiredAt}, no trusted timestamp proves it signed before` } };
+  }
+  if (at && !(at < new Date(found.retiredAt))) {
+    return { key: { ...key, error: `Key ${keyId} was retired at ${found.retiredAt}, before signing` } };
+  }
+  return { signer: found.signer, key };
+}
+
+module.exports = {
+  KEY_STATUS,
+  createKeyring,
+  loadKeyring,
+  keyringKey,
+};
@@ -0,0 +1,193 @@
+/**
+ * Ledger of issued stamps: which id was issued for which content, by which
+ * key, from which source file and when.
+ *
+ * Stores implement the same append-only interface:
+ *
+ * @typedef {Object} LedgerEntry
+ * @property {string} id
+ * @property {string} digest content digest the stamp was issued for
+ * @property {string} signature
+ * @property {string} [algorithm]
+ * @property {string} [keyId]
+ * @property {string} [signedAt]
+ * @property {string} [source] path of the file that was stamped
+ * @property {string} [sourceChecksum] SHA-512 of the file before stamping (see
+ * ./checksum), to check unstamping against (see unstamp in ./stamp)
+ * @property {string} [checksum] SHA-512 of the stamped file as issued, none
+ * for a sidecar stamp whose digest already covers every byte
+ * @property {string} recordedAt
+ *
+ * @typedef {Object} Ledger
+ * @property {(entry: LedgerEntry) => Promise<LedgerEntry>} append rejects an id that was already issued
+ * @property {(id: string) => Promise<LedgerEntry | undefined>} findById
+ * @property {(digest: string) => Promise<LedgerEntry[]>} findByDigest
+ * @property {() => Promise<LedgerEntry[]>} entries
+ */
+const fs = require('fs').promises;
+const path = require('path');
+
+const { stampedDigestFile } = require('./signing');
+const { locateStamp } = require('./stamp');
+
+// =============================================================================
+// Const
+// =============================================================================
+const LEDGER_STATUS = {
+  // No stamp in the file
+  UNSTAMPED: 'unstamped',
+  // The id was never issued by us
+  UNKNOWN: 'unknown',
+  // The id was issued for this very content, with this signature
+  MATCH: 'match',
+  // The id was issued, but for another content: the content changed, or the
+  // stamp was copied from another document
+  CONTENT_MISMATCH: 'content-mismatch',
+  // The id and content match, but the signature is not the one issued
+  SIGNATURE_MISMATCH: 'signature-mismatch',
+};
+
+// How long an append waits for another process to release the ledger
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_RETRY_MS = 20;
+
+// =============================================================================
+// Functions
+// =============================================================================
+/**
+ * @returns {Promise<{entries: LedgerEntry[], end: number, tail?: 'entry' | 'torn'}>}
+ * the entries of the JSONL `file`, and the length of its lines ending with a
+ * newline. A last line without one (`tail`) is torn by a crash while
+ * appending and left out, unless it holds a whole entry (e.g. fixed by hand)
+ */
+const readJsonl = async (file) => {
+  let buffer;
+  try {
+    buffer = await fs.readFile(file);
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      return { entries: [], end: 0 };
+    }
+    throw e;
+  }
+
+  const end = buffer.lastIndexOf('\n') + 1;
+  const entries = buffer.toString('utf8', 0, end).split('\n').filter(Boolean).map((line) => JSON.parse(line));
+  const last = buffer.toString('utf8', end);
+  if (last === '') {
+    return { entries, end };
+  }
+  try {
+    return { entries: [...entries, JSON.parse(last)], end, tail: 'entry' };
+  } catch (e) {
+    return { entries, end, tail: 'torn' };
+  }
+}
+
+/**
+ * Run `fn` holding `<file>.lock`, created exclusively, so processes sharing
+ * the ledger append one at a time
+ */
+const withLock = async (file, fn) => {
+  const lock = `${file}.lock`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  for (;;) {
+    try {
+      await (await fs.open(lock, 'wx')).close();
+      break;
+    } catch (e) {
+      if (e.code !== 'EEXIST') {
+        throw e;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`The ledger ${file} is locked: remove ${lock} if no process is appending to it`);
+      }
+      await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await fs.rm(lock, { force: true });
+  }
+}
+
+/**
+ * Ledger stored as one JSON entry per line, only ever appended to. Read from
+ * the file every time, and appended under a lock file, so that several
+ * processes can share it
+ *
+ * @returns {Ledger}
+ */
+const createJsonlLedger = (file) => {
+  const load = async () => (await readJsonl(file)).entries;
+
+  // Appends of this process run one at a time, rather than all waiting for the lock
+  let appending = Promise.resolve();
+
+  return {
+    append: (entry) => {
+      const appended = appending.then(async () => {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        return withLock(file, async () => {
+          const { entries, end, tail } = await readJsonl(file);
+          if (entries.some(({ id }) => id === entry.id)) {
+            throw new Error(`Stamp ${entry.id} is already in the ledger`);
+          }
+
+          if (tail === 'torn') {
+            await fs.truncate(file, end);
+          }
+          const recorded = { ...entry, recordedAt: entry.recordedAt || new Date().toISOString() };
+          // A whole last entry only misses its newline
+          await fs.appendFile(file, `${tail === 'entry' ? '\n' : ''}${JSON.stringify(recorded)}\n`);
+          return recorded;
+        });
+      });
+      appending = appended.catch(() => {});
+      return appended;
+    },
+    findById: async (id) => (await load()).find((entry) => entry.id === id),
+    findByDigest: async (digest) => (await load()).filter((entry) => entry.digest === digest),
+    entries: load,
+  };
+}
+
+/**
+ * Was the stamp in `path` issued by us, and does the file still match what was issued?
+ *
+ * @param {Ledger} ledger
+ * @returns {Promise<{status: string, id?: string, entry?: LedgerEntry, issuedAs?: LedgerEntry[]}>}
+ * `issuedAs` lists the stamps we issued for the file's current content, e.g.
+ * the original stamp of a document someone copied another stamp onto
+ */
+const checkFileAgainstLedger = async (path, ledger, { exiftool } = {}) => {
+  const { stamp, sidecar } = await locateStamp(path, { exiftool }) || {};
+  if (!stamp || !stamp.id) {
+    return { status: LEDGER_STATUS.UNSTAMPED };
+  }
+
+  const entry = await ledger.findById(stamp.id);
+  if (!entry) {
+    return { status: LEDGER_STATUS.UNKNOWN, id: stamp.id };
+  }
+
+  const digest = await stampedDigestFile(path, { stamp, sidecar });
+  if (entry.digest !== digest) {
+    const issuedAs = (await ledger.findByDigest(digest)).filter((other) => other.id !== stamp.id);
+    return { status: LEDGER_STATUS.CONTENT_MISMATCH, id: stamp.id, entry, issuedAs };
+  }
+
+  if (entry.signature !== stamp.signature) {
+    return { status: LEDGER_STATUS.SIGNATURE_MISMATCH, id: stamp.id, entry };
+  }
+
+  return { status: LEDGER_STATUS.MATCH, id: stamp.id, entry };
+}
+
+module.exports = {
+  LEDGER_STATUS,
+  createJsonlLedger,
+  checkFileAgainstLedger,
+};
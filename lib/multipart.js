@@ -0,0 +1,82 @@
+/**
+ * `multipart/form-data` bodies (RFC 7578), as browsers and HTTP clients upload
+ * files, for the HTTP service (see ./server). The body is parsed once fully
+ * read, its size being limited by the server.
+ */
+
+// =============================================================================
+// Const
+// =============================================================================
+const CRLF = Buffer.from('\r\n');
+const HEADERS_END = Buffer.from('\r\n\r\n');
+
+const BOUNDARY_RE = /;\s*boundary=(?:"([^"]+)"|([^;\s]+))/i;
+
+// =============================================================================
+// Functions
+// =============================================================================
+/**
+ * @returns {string | undefined} the boundary of a `multipart/form-data` content type
+ */
+const multipartBoundary = (contentType) => {
+  if (!/^multipart\/form-data\s*(;|$)/i.test(String(contentType))) {
+    return undefined;
+  }
+  const match = BOUNDARY_RE.exec(contentType);
+  return match ? match[1] || match[2] : undefined;
+}
+
+/**
+ * @returns {Object} the parameters of a `Content-Disposition` header, e.g. `{name, filename}`
+ */
+const dispositionParameters = (value) => {
+  const parameters = {};
+  for (const [, key, quoted, token] of value.matchAll(/;\s*([\w*-]+)=(?:"((?:[^"\\]|\\.)*)"|([^;\s]*))/g)) {
+    parameters[key.toLowerCase()] = quoted !== undefined ? quoted.replace(/\\(.)/g, '$1') : token;
+  }
+  return parameters;
+}
+
+/**
+ * @param {Buffer} body
+ * @param {string} boundary see multipartBoundary
+ * @returns {{name?: string, filename?: string, contentType?: string, data: Buffer}[]} the parts, in order
+ */
+const parseMultipart = (body, boundary) => {
+  const delimiter = Buffer.from(`--${boundary}`);
+  const parts = [];
+
+  let pos = body.indexOf(delimiter);
+  if (pos === -1) {
+    throw new Error('Invalid multipart body: no boundary');
+  }
+
+  for (;;) {
+    pos += delimiter.length;
+    if (body.toString('latin1', pos, pos + 2) === '--') {
+      return parts;
+    }
+    if (!body.slice(pos, pos + CRLF.length).equals(CRLF)) {
+      throw new Error('Invalid multipart body: no line break after the boundary');
+    }
+
+    const headersEnd = body.indexOf(HEADERS_END, pos);
+    const next = body.indexOf(Buffer.concat([CRLF, delimiter]), pos);
+    if (headersEnd === -1 || next === -1 || headersEnd > next) {
+      throw new Error('Invalid multipart body: unterminated part');
+    }
+
+    const headers = Object.fromEntries(body.toString('utf8', pos + CRLF.length, headersEnd)
+      .split('\r\n')
+      .map((line) => [line.slice(0, line.indexOf(':')).trim().toLowerCase(), line.slice(line.indexOf(':') + 1).trim()]));
+    const { name, filename } = dispositionParameters(headers['content-disposition'] || '');
+
+    parts.push({ name, filename, contentType: headers['content-type'], data: body.slice(headersEnd + HEADERS_END.length, next) });
+    pos = next + CRLF.length;
+  }
+}
+
+module.exports = {
+  multipartBoundary,
+  parseMultipart,
+};
@@ -0,0 +1,260 @@
+/**
+ * Keeping PDF output deterministic, getting back the PDF as it was before
+ * stamping, and stamping it by an incremental update that leaves it as it was.
+ *
+ * ExifTool bumps the 2nd part of the trailer /ID on every write, so the same
+ * stamp written twice (or written then removed) gives different bytes. Pinning
+ * the /ID back to the one the input had makes the output depend only on the
+ * input and the tags written.
+ *
+ * More description of the ID in https://stackoverflow.com/questions/13193820/removing-pdfid-in-pdf
+ *
+ * ExifTool also rewrites its own earlier update, and the trailer of the
+ * document. The incremental stamp update is appended in JS instead, after every
+ * byte of the input: the xmp metadata stream holding the stamp, the catalog
+ * pointing to it if it had no metadata yet, their cross-reference section and
+ * trailer. The input stays a prefix of the stamped PDF, so a stamp can sign
+ * its bytes as a byte range, the way a PDF signature does, and the PDF
+ * signatures of the input stay valid.
+ */
+const fs = require('fs').promises;
+
+const { generateChecksum } = require('./checksum');
+const pdfFormat = require('./formats/pdf');
+const { readPdf } = require('./pdfsyntax');
+const { NAMESPACE } = require('./schema');
+const { xmpStampAccessors } = require('./xmp');
+
+// =============================================================================
+// Const
+// =============================================================================
+const TRAILER_ID_RE = /\/ID\s*\[[^\]]*\]/g;
+
+// The trailer entries an update carries over from the one before
+const TRAILER_KEYS = ['Root', 'Info', 'ID'];
+
+// =============================================================================
+// Functions
+// =============================================================================
+/**
+ * @returns {string | undefined} the last (current) trailer /ID entry, e.g. `/ID [ <..> <..> ]`
+ */
+const readTrailerId = (buffer) => {
+  const matches = buffer.toString('latin1').match(TRAILER_ID_RE);
+  return matches ? matches[matches.length - 1] : undefined;
+}
+
+/**
+ * Replace the last trailer /ID entry with `trailerId`, or drop it when the
+ * input had none.
+ *
+ * The trailer comes after the xref section, so changing its length does not
+ * move any offset the xref points to
+ */
+const pinTrailerId = (buffer, trailerId) => {
+  const text = buffer.toString('latin1');
+  const current = readTrailerId(buffer);
+  if (current === undefined || current === trailerId) {
+    return buffer;
+  }
+
+  const index = text.lastIndexOf(current);
+  return Buffer.from(text.slice(0, index) + (trailerId || '') + text.slice(index + current.length), 'latin1');
+}
+
+/**
+ * @returns {Promise<{trailerId?: string} | undefined>} undefined if `path` is not a PDF
+ */
+const snapshotTrailerId = async (path) => {
+  const buffer = await fs.readFile(path);
+  if (!pdfFormat.detect(buffer)) {
+    return undefined;
+  }
+  return { trailerId: readTrailerId(buffer) };
+}
+
+/**
+ * Pin the trailer /ID of the PDF at `path` back to a snapshot taken before writing
+ */
+const restoreTrailerId = async (path, snapshot) => {
+  if (!snapshot) {
+    return;
+  }
+
+  const buffer = await fs.readFile(path);
+  const pinned = pinTrailerId(buffer, snapshot.trailerId);
+  if (pinned !== buffer) {
+    await fs.writeFile(path, pinned);
+  }
+}
+
+/**
+ * ExifTool PDF edits are incremental updates appended to the document, so
+ * dropping the updates that wrote the stamp gives back the bytes the PDF had
+ * before, unless it already had an ExifTool update: exiftool replaces its own
+ * update with one holding the earlier edits too, which are dropped with it.
+ *
+ * @returns {Buffer | undefined} the PDF before the last ExifTool updates
+ * holding the stamp's namespace, undefined if it doesn't end with one or the
+ * stamp is still there once they are dropped
+ */
+const revertStampUpdates = (buffer) => {
+  let reverted = buffer;
+  let start = pdfFormat.lastUpdateStart(reverted);
+  while (start !== undefined && start < reverted.length && reverted.slice(start).includes(NAMESPACE.uri)) {
+    reverted = reverted.slice(0, start);
+    start = pdfFormat.lastUpdateStart(reverted);
+  }
+
+  return reverted !== buffer && !reverted.includes(NAMESPACE.uri) ? reverted : undefined;
+}
+
+/**
+ * @returns {string | undefined} the xmp packet of the document's metadata
+ * stream (the catalog's /Metadata), read in JS
+ */
+const readPdfXmp = (buffer) => {
+  const pdf = readPdf(buffer);
+  const catalog = pdf.resolve(pdf.trailer.entries.get('Root'));
+  const ref = catalog && catalog.entries.get('Metadata');
+  const metadata = ref && ref.type === 'ref' ? pdf.getObject(ref.num) : undefined;
+  return metadata && metadata.stream ? pdf.streamData(metadata).toString('utf8') : undefined;
+}
+
+/**
+ * @returns {Buffer} `buffer` with an incremental update making `xml` the
+ * document's xmp metadata: its metadata stream is replaced, or added and
+ * pointed to by a new version of the catalog. The update ends with a comment
+ * holding the length of `buffer`, as ExifTool's do (see ./formats/pdf)
+ */
+const appendXmpUpdate = (buffer, xml) => {
+  const pdf = readPdf(buffer);
+  const root = pdf.trailer.entries.get('Root');
+  const catalog = pdf.resolve(root);
+  if (!catalog || catalog.type !== 'dict') {
+    throw new Error('Invalid PDF: no document catalog');
+  }
+  const current = catalog.entries.get('Metadata');
+  if (current && current.type !== 'ref') {
+    throw new Error('Invalid PDF: the catalog /Metadata is not a reference');
+  }
+
+  let size = pdf.size;
+  const metadata = current ? { num: current.num, gen: current.gen } : { num: size++, gen: 0 };
+  const data = Buffer.from(xml, 'utf8');
+  const objects = [{
+    ...metadata,
+    body: Buffer.concat([Buffer.from(`<</Type/Metadata/Subtype/XML/Length ${data.length}>>\nstream\n`), data, Buffer.from('\nendstream')]),
+  }];
+  if (!current) {
+    objects.push({ num: root.num, gen: root.gen, body: Buffer.from(`${catalog.raw.slice(0, -2)}/Metadata ${metadata.num} ${metadata.gen} R>>`, 'latin1') });
+  }
+
+  const parts = [buffer];
+  let offset = buffer.length;
+  const append = (part) => {
+    const bytes = Buffer.isBuffer(part) ? part : Buffer.from(part, 'latin1');
+    parts.push(bytes);
+    offset += bytes.length;
+  };
+
+  if (buffer.length > 0 && buffer[buffer.length - 1] !== 0x0a && buffer[buffer.length - 1] !== 0x0d) {
+    append('\n');
+  }
+  const offsets = [];
+  objects.sort((a, b) => a.num - b.num).forEach(({ num, gen, body }) => {
+    offsets.push({ num, gen, offset });
+    append(`${num} ${gen} obj\n`);
+    append(body);
+    append('\nendobj\n');
+  });
+
+  const xrefOffset = offset;
+  const trailer = TRAILER_KEYS
+    .filter((key) => pdf.trailer.entries.has(key))
+    .map((key) => `/${key} ${pdf.trailer.entries.get(key).raw}`)
+    .join('');
+  if (pdf.xrefStream) {
+    // Same kind of section as the one before, listing itself too
+    const num = size++;
+    offsets.push({ num, gen: 0, offset: xrefOffset });
+    const rows = Buffer.concat(offsets.map((entry) => {
+      const row = Buffer.alloc(7);
+      row[0] = 1;
+      row.writeUInt32BE(entry.offset, 1);
+      row.writeUInt16BE(entry.gen, 5);
+      return row;
+    }));
+    const index = offsets.map((entry) => `${entry.num} 1`).join(' ');
+    append(`${num} 0 obj\n<</Type/XRef/Size ${size}/W[1 4 2]/Index[${index}]${trailer}/Prev ${pdf.startxref}/Length ${rows.length}>>\nstream\n`);
+    append(rows);
+    append('\nendstream\nendobj\n');
+  } else {
+    const rows = offsets.map((entry) => `${entry.num} 1\n${String(entry.offset).padStart(10, '0')} ${String(entry.gen).padStart(5, '0')} n\r\n`);
+    append(`xref\n${rows.join('')}trailer\n<</Size ${size}${trailer}/Prev ${pdf.startxref}>>\n`);
+  }
+  append(`%EndXmpStampUpdate ${buffer.length}\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  return Buffer.concat(parts);
+}
+
+/**
+ * The PDF format, reading the stamp from the xmp metadata in JS and writing it
+ * by an incremental update (see appendXmpUpdate), in place of exiftool
+ *
+ * @type {import('./formats').Format}
+ */
+const incrementalPdfFormat = (() => {
+  const { readStamp, writeStamp } = xmpStampAccessors({ readXmp: readPdfXmp, writeXmp: appendXmpUpdate });
+  return { ...pdfFormat, readStamp, writeStamp };
+})();
+
+/**
+ * @returns {string} the byte range an incremental stamp update of `buffer`
+ * leaves as it is: all of it, as `<offset> <length>`
+ */
+const incrementalByteRange = (buffer) => `0 ${buffer.length}`;
+
+/**
+ * @returns {boolean} whether what `buffer` has past `prefix` is the very
+ * update appendXmpUpdate writes on `prefix` for the xmp `buffer` has, nothing else
+ */
+const isXmpUpdateOf = (buffer, prefix) => {
+  try {
+    const xml = readPdfXmp(buffer);
+    return xml !== undefined && appendXmpUpdate(prefix, xml).equals(buffer);
+  } catch (e) {
+    // Not a PDF we can read, nor an update of ours
+    return false;
+  }
+}
+
+/**
+ * The digest of a stamp written by an incremental update: the hex SHA-512 of
+ * the bytes of its `byteRange`, the PDF as it was before the update. Only when
+ * the rest of the PDF is that update, and it only changes the xmp metadata:
+ * otherwise every byte is hashed, so any other change or update made since
+ * makes the digest no match
+ *
+ * @param {string} byteRange `<offset> <length>`, see incrementalByteRange
+ * @returns {string}
+ */
+const byteRangeDigest = (buffer, byteRange) => {
+  const [offset, length] = String(byteRange).split(' ').map(Number);
+  const prefix = buffer.slice(0, length);
+  const intact = offset === 0 && pdfFormat.stampUpdateStart(buffer) === length && isXmpUpdateOf(buffer, prefix);
+  return generateChecksum(intact ? prefix : buffer);
+}
+
+module.exports = {
+  readTrailerId,
+  pinTrailerId,
+  snapshotTrailerId,
+  restoreTrailerId,
+  revertStampUpdates,
+  readPdfXmp,
+  appendXmpUpdate,
+  incrementalPdfFormat,
+  incrementalByteRange,
+  byteRangeDigest,
+};
@@ -0,0 +1,501 @@
+/**
+ * PDF syntax, read in JS: the objects of a document, found through its
+ * cross-reference sections (tables or streams, following /Prev), and its
+ * trailer. Enough to read the document catalog and its xmp metadata, and to
+ * append an incremental update to it (see ./pdf), not to render anything.
+ *
+ * Each parsed value keeps its source text (`raw`), so whatever is copied into
+ * an update is written back byte for byte.
+ *
+ * Only FlateDecode streams (with or without PNG predictors) are decoded, and
+ * encrypted documents are not read.
+ */
+const zlib = require('zlib');
+
+// =============================================================================
+// Const
+// =============================================================================
+const WHITESPACE = '\0\t\n\f\r ';
+const DELIMITERS = '()<>[]{}/%';
+
+const NUMBER_RE = /[+-]?(?:\d+\.?\d*|\.\d+)/y;
+// What follows the object number of a reference: `<gen> R`
+const REF_RE = /[\0\t\n\f\r ]+(\d+)[\0\t\n\f\r ]+R(?![^\0\t\n\f\r ()<>[\]{}/%])/y;
+const OBJECT_HEADER_RE = /(\d+)[\0\t\n\f\r ]+(\d+)[\0\t\n\f\r ]+obj(?![^\0\t\n\f\r ()<>[\]{}/%])/y;
+const STREAM_START_RE = /[\0\t\n\f\r ]*stream\r?\n/y;
+const XREF_SUBSECTION_RE = /(\d+)[\0\t\n\f\r ]+(\d+)/y;
+const XREF_ENTRY_RE = /(\d{10}) (\d{5}) ([nf])/y;
+
+// =============================================================================
+// Functions
+// =============================================================================
+/**
+ * @typedef {Object} PdfValue
+ * @property {'dict' | 'array' | 'ref' | 'number' | 'name' | 'string' | 'keyword'} type
+ * @property {string} raw the source text
+ * @property {number | string} [value] of a number, a name (without the slash)
+ * or a keyword (`true`, `false`, `null`)
+ * @property {Map<string, PdfValue>} [entries] of a dict, by key name
+ * @property {PdfValue[]} [items] of an array
+ * @property {number} [num] of a ref
+ * @property {number} [gen] of a ref
+ *
+ * @typedef {Object} PdfObject
+ * @property {number} num
+ * @property {number} gen
+ * @property {PdfValue} value
+ * @property {Buffer} [stream] the stream data as stored, still encoded
+ *
+ * @typedef {{type: 1, offset: number, gen: number} | {type: 2, stream: number, index: number} | null} XrefEntry
+ * where a used object is: at an offset of the file, or in an object stream.
+ * Null for a free object
+ */
+
+const isRegular = (c) => c !== undefined && !WHITESPACE.includes(c) && !DELIMITERS.includes(c);
+
+/**
+ * @returns {number} the position of the next token of `text` from `pos`, past whitespace and comments
+ */
+const skipSpace = (text, pos) => {
+  let i = pos;
+  while (i < text.length) {
+    if (WHITESPACE.includes(text[i])) {
+      i += 1;
+    } else if (text[i] === '%') {
+      while (i < text.length && text[i] !== '\n' && text[i] !== '\r') {
+        i += 1;
+      }
+    } else {
+      break;
+    }
+  }
+  return i;
+}
+
+/**
+ * @returns {{value: PdfValue, end: number}} the value at `pos` of `text`, and where it ends
+ */
+const parseValue = (text, pos) => {
+  const start = skipSpace(text, pos);
+  const parsed = (type, end, fields) => ({ value: { type, raw: text.slice(start, end), ...fields }, end });
+
+  if (text.startsWith('<<', start)) {
+    const entries = new Map();
+    let i = skipSpace(text, start + 2);
+    while (!text.startsWith('>>', i)) {
+      const key = parseValue(text, i);
+      if (key.value.type !== 'name') {
+        throw new Error(`Invalid PDF: the dictionary key at offset ${i} is not a name`);
+      }
+      const entry = parseValue(text, key.end);
+      entries.set(key.value.value, entry.value);
+      i = skipSpace(text, entry.end);
+    }
+    return parsed('dict', i + 2, { entries });
+  }
+
+  const c = text[start];
+  if (c === '[') {
+    const items = [];
+    let i = skipSpace(text, start + 1);
+    while (text[i] !== ']') {
+      const item = parseValue(text, i);
+      items.push(item.value);
+      i = skipSpace(text, item.end);
+    }
+    return parsed('array', i + 1, { items });
+  }
+  if (c === '<') {
+    const end = text.indexOf('>', start);
+    if (end === -1) {
+      throw new Error(`Invalid PDF: unterminated string at offset ${start}`);
+    }
+    return parsed('string', end + 1);
+  }
+  if (c === '(') {
+    // Balanced parentheses need no escape
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+      if (text[i] === '\\') {
+        i += 1;
+      } else if (text[i] === '(') {
+        depth += 1;
+      } else if (text[i] === ')' && --depth === 0) {
+        return parsed('string', i + 1);
+      }
+    }
+    throw new Error(`Invalid PDF: unterminated string at offset ${start}`);
+  }
+  if (c === '/') {
+    let i = start + 1;
+    while (isRegular(text[i])) {
+      i += 1;
+    }
+    return parsed('name', i, { value: text.slice(start + 1, i) });
+  }
+
+  NUMBER_RE.lastIndex = start;
+  const number = NUMBER_RE.exec(text);
+  if (number) {
+    const end = start + number[0].length;
+    REF_RE.lastIndex = end;
+    const ref = /^\d+$/.test(number[0]) && REF_RE.exec(text);
+    return ref
+      ? parsed('ref', REF_RE.lastIndex, { num: Number(number[0]), gen: Number(ref[1]) })
+      : parsed('number', end, { value: Number(number[0]) });
+  }
+
+  let i = start;
+  while (isRegular(text[i])) {
+    i += 1;
+  }
+  if (i === start) {
+    throw new Error(`Invalid PDF: unexpected ${c === undefined ? 'end' : `'${c}'`} at offset ${start}`);
+  }
+  return parsed('keyword', i, { value: text.slice(start, i) });
+}
+
+/**
+ * @returns {number | undefined} the number of the entry `key` of `dict`
+ */
+const numberEntry = (dict, key) => {
+  const entry = dict.entries.get(key);
+  return entry && entry.type === 'number' ? entry.value : undefined;
+}
+
+/**
+ * @returns {boolean} whether PDF values `a` and `b` are the same, however they
+ * are written: dicts and arrays compared entry by entry, strings as written
+ */
+const sameValue = (a, b) => {
+  if (!a || !b || a.type !== b.type) {
+    return a === b;
+  }
+  if (a.type === 'dict') {
+    return a.entries.size === b.entries.size
+      && [...a.entries].every(([key, value]) => sameValue(value, b.entries.get(key)));
+  }
+  if (a.type === 'array') {
+    return a.items.length === b.items.length && a.items.every((item, i) => sameValue(item, b.items[i]));
+  }
+  if (a.type === 'ref') {
+    return a.num === b.num && a.gen === b.gen;
+  }
+  return a.type === 'string' ? a.raw === b.raw : a.value === b.value;
+}
+
+/**
+ * Undo the PNG predictors of a FlateDecode stream, one filter type byte per row
+ */
+const unpredictPng = (data, params) => {
+  const colors = (params && numberEntry(params, 'Colors')) || 1;
+  const bits = (params && numberEntry(params, 'BitsPerComponent')) || 8;
+  const columns = (params && numberEntry(params, 'Columns')) || 1;
+  const pixel = Math.max(1, Math.ceil((colors * bits) / 8));
+  const length = Math.ceil((columns * colors * bits) / 8);
+
+  const rows = [];
+  let previous = Buffer.alloc(length);
+  for (let pos = 0; pos < data.length; pos += length + 1) {
+    const type = data[pos];
+    const row = Buffer.from(data.slice(pos + 1, pos + 1 + length));
+    for (let i = 0; i < row.length; i++) {
+      const left = i >= pixel ? row[i - pixel] : 0;
+      const up = previous[i];
+      const upLeft = i >= pixel ? previous[i - pixel] : 0;
+      if (type === 1) {
+        row[i] += left;
+      } else if (type === 2) {
+        row[i] += up;
+      } else if (type === 3) {
+        row[i] += (left + up) >> 1;
+      } else if (type === 4) {
+        const p = left + up - upLeft;
+        const [pa, pb, pc] = [Math.abs(p - left), Math.abs(p - up), Math.abs(p - upLeft)];
+        row[i] += pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+      }
+    }
+    rows.push(row);
+    previous = row;
+  }
+  return Buffer.concat(rows);
+}
+
+/**
+ * @param {PdfValue} dict the stream dictionary
+ * @param {Buffer} data the stream data as stored
+ * @returns {Buffer} the data decoded
+ */
+const decodeStream = (dict, data) => {
+  const filter = dict.entries.get('Filter');
+  const filters = (filter ? (filter.type === 'array' ? filter.items : [filter]) : []).map(({ value }) => value);
+  if (filters.length === 0) {
+    return data;
+  }
+  if (filters.length > 1 || filters[0] !== 'FlateDecode') {
+    throw new Error(`Unsupported PDF stream filter: ${filters.join(', ')}`);
+  }
+
+  const inflated = zlib.inflateSync(data);
+  const parms = dict.entries.get('DecodeParms');
+  const params = parms && parms.type === 'array' ? parms.items[0] : parms;
+  const predictor = params && params.type === 'dict' ? numberEntry(params, 'Predictor') : undefined;
+  if (predictor === undefined || predictor === 1) {
+    return inflated;
+  }
+  if (predictor < 10) {
+    throw new Error(`Unsupported PDF stream predictor: ${predictor}`);
+  }
+  return unpredictPng(inflated, params);
+}
+
+/**
+ * @param {(ref: PdfValue) => number} resolveLength the value of an indirect /Length
+ * @returns {PdfObject & {end: number}} the indirect object at `offset`
+ */
+const readIndirectObject = (buffer, text, offset, resolveLength) => {
+  OBJECT_HEADER_RE.lastIndex = skipSpace(text, offset);
+  const header = OBJECT_HEADER_RE.exec(text);
+  if (!header) {
+    throw new Error(`Invalid PDF: no object at offset ${offset}`);
+  }
+
+  const { value, end } = parseValue(text, OBJECT_HEADER_RE.lastIndex);
+  const object = { num: Number(header[1]), gen: Number(header[2]), value, end };
+  STREAM_START_RE.lastIndex = end;
+  if (value.type !== 'dict' || !STREAM_START_RE.exec(text)) {
+    return object;
+  }
+
+  const length = value.entries.get('Length');
+  const start = STREAM_START_RE.lastIndex;
+  const stream = buffer.slice(start, start + (length && length.type === 'ref' ? resolveLength(length) : numberEntry(value, 'Length')));
+  return { ...object, stream, end: start + stream.length };
+}
+
+/**
+ * Read the entries of the cross-reference table at `pos` (past the `xref` keyword)
+ *
+ * @param {(num: number, entry: XrefEntry) => void} add
+ * @returns {PdfValue} its trailer dictionary
+ */
+const readXrefTable = (text, pos, add) => {
+  let i = skipSpace(text, pos);
+  while (!text.startsWith('trailer', i)) {
+    XREF_SUBSECTION_RE.lastIndex = i;
+    const subsection = XREF_SUBSECTION_RE.exec(text);
+    if (!subsection) {
+      throw new Error(`Invalid PDF: no cross-reference subsection at offset ${i}`);
+    }
+    i = XREF_SUBSECTION_RE.lastIndex;
+
+    const first = Number(subsection[1]);
+    for (let k = 0; k < Number(subsection[2]); k++) {
+      XREF_ENTRY_RE.lastIndex = skipSpace(text, i);
+      const entry = XREF_ENTRY_RE.exec(text);
+      if (!entry) {
+        throw new Error(`Invalid PDF: no cross-reference entry at offset ${i}`);
+      }
+      add(first + k, entry[3] === 'n' ? { type: 1, offset: Number(entry[1]), gen: Number(entry[2]) } : null);
+      i = XREF_ENTRY_RE.lastIndex;
+    }
+    i = skipSpace(text, i);
+  }
+
+  const trailer = parseValue(text, i + 'trailer'.length).value;
+  if (trailer.type !== 'dict') {
+    throw new Error(`Invalid PDF: the trailer at offset ${i} is not a dictionary`);
+  }
+  return trailer;
+}
+
+/**
+ * Read the entries of the cross-reference stream at `offset`
+ *
+ * @param {(num: number, entry: XrefEntry) => void} add
+ * @returns {PdfValue} its dictionary, which is the trailer's
+ */
+const readXrefStream = (buffer, text, offset, add) => {
+  const { value: dict, stream } = readIndirectObject(buffer, text, offset, () => {
+    throw new Error(`Invalid PDF: the cross-reference stream at offset ${offset} has an indirect length`);
+  });
+  const type = dict.entries.get('Type');
+  if (!stream || !type || type.value !== 'XRef') {
+    throw new Error(`Invalid PDF: no cross-reference section at offset ${offset}`);
+  }
+
+  const data = decodeStream(dict, stream);
+  const widths = dict.entries.get('W').items.map(({ value }) => value);
+  const index = dict.entries.has('Index') ? dict.entries.get('Index').items.map(({ value }) => value) : [0, numberEntry(dict, 'Size')];
+  const rows = index.filter((value, i) => i % 2 === 1).reduce((sum, count) => sum + count, 0);
+  if (data.length < rows * widths.reduce((sum, width) => sum + width, 0)) {
+    throw new Error(`Invalid PDF: the cross-reference stream at offset ${offset} is too short`);
+  }
+
+  let pos = 0;
+  for (let i = 0; i < index.length; i += 2) {
+    for (let k = 0; k < index[i + 1]; k++) {
+      const fields = widths.map((width) => {
+        const field = width === 0 ? undefined : data.readUIntBE(pos, width);
+        pos += width;
+        return field;
+      });
+      // The type defaults to 1 when its width is 0
+      const entryType = fields[0] === undefined ? 1 : fields[0];
+      if (entryType === 1) {
+        add(index[i] + k, { type: 1, offset: fields[1], gen: fields[2] || 0 });
+      } else if (entryType === 2) {
+        add(index[i] + k, { type: 2, stream: fields[1], index: fields[2] });
+      } else {
+        add(index[i] + k, null);
+      }
+    }
+  }
+  return dict;
+}
+
+/**
+ * Read the cross-reference sections, the last one first, following /Prev:
+ * the entry of the latest section wins, as in a reader
+ *
+ * @returns {{entries: Map<number, XrefEntry>, updated: Map<number, XrefEntry>, trailer: PdfValue, startxref: number, xrefStream: boolean}}
+ * `updated`, `trailer` and `startxref` are the last section's, `xrefStream`
+ * whether it is a stream
+ */
+const readXref = (buffer, text) => {
+  const at = text.lastIndexOf('startxref');
+  const startxref = at === -1 ? undefined : /^startxref[\0\t\n\f\r ]+(\d+)/.exec(text.slice(at, at + 40));
+  if (!startxref) {
+    throw new Error('Invalid PDF: no startxref');
+  }
+
+  const entries = new Map();
+  const updated = new Map();
+  const sections = [];
+  const add = (num, entry) => {
+    if (!entries.has(num)) {
+      entries.set(num, entry);
+    }
+    if (sections.length === 1 && !updated.has(num)) {
+      updated.set(num, entry);
+    }
+  };
+
+  let last;
+  for (let offset = Number(startxref[1]); offset !== undefined;) {
+    if (sections.includes(offset)) {
+      throw new Error('Invalid PDF: the cross-reference sections loop');
+    }
+    sections.push(offset);
+
+    const pos = skipSpace(text, offset);
+    const table = text.startsWith('xref', pos);
+    let dict;
+    if (table) {
+      dict = readXrefTable(text, pos + 'xref'.length, add);
+      // A hybrid file: the objects in object streams are in a stream next to the table
+      const xrefStm = numberEntry(dict, 'XRefStm');
+      if (xrefStm !== undefined) {
+        readXrefStream(buffer, text, xrefStm, add);
+      }
+    } else {
+      dict = readXrefStream(buffer, text, offset, add);
+    }
+    last = last || { trailer: dict, xrefStream: !table };
+    offset = numberEntry(dict, 'Prev');
+  }
+
+  return { entries, updated, ...last, startxref: sections[0] };
+}
+
+/**
+ * @typedef {Object} PdfDocument
+ * @property {PdfValue} trailer the dictionary of the last trailer (or cross-reference stream)
+ * @property {number} startxref the offset of the last cross-reference section
+ * @property {boolean} xrefStream whether it is a cross-reference stream
+ * @property {Map<number, XrefEntry>} updated the entries of the last
+ * cross-reference section: the objects its update (re)defines or frees
+ * @property {number} size the trailer's /Size: one more than the highest object number
+ * @property {(num: number) => PdfObject | undefined} getObject the latest
+ * definition of object `num`, undefined if free
+ * @property {(value: PdfValue) => PdfValue | undefined} resolve the object
+ * `value` refers to, or `value` itself when it is not a ref
+ * @property {(object: PdfObject) => Buffer} streamData the decoded data of a stream object
+ */
+
+/**
+ * @returns {PdfDocument}
+ */
+const readPdf = (buffer) => {
+  // latin1 maps bytes 1:1, so offsets in the string are offsets in the buffer
+  const text = buffer.toString('latin1');
+  const { entries, updated, trailer, startxref, xrefStream } = readXref(buffer, text);
+  if (trailer.entries.has('Encrypt')) {
+    throw new Error('Encrypted PDFs are not supported');
+  }
+
+  const objectStreams = new Map();
+  let getObject;
+
+  const resolve = (value) => {
+    if (!value || value.type !== 'ref') {
+      return value;
+    }
+    const object = getObject(value.num);
+    return object && object.value;
+  }
+
+  // The objects of the object stream `num`, by index
+  const objectStream = (num) => {
+    if (!objectStreams.has(num)) {
+      const stream = getObject(num);
+      if (!stream || !stream.stream) {
+        throw new Error(`Invalid PDF: object ${num} is not an object stream`);
+      }
+      const data = decodeStream(stream.value, stream.stream).toString('latin1');
+      const first = numberEntry(stream.value, 'First');
+
+      const objects = [];
+      let pos = 0;
+      for (let i = 0; i < numberEntry(stream.value, 'N'); i++) {
+        const header = /^[\0\t\n\f\r ]*(\d+)[\0\t\n\f\r ]+(\d+)/.exec(data.slice(pos));
+        pos += header[0].length;
+        objects.push({ num: Number(header[1]), gen: 0, value: parseValue(data, first + Number(header[2])).value });
+      }
+      objectStreams.set(num, objects);
+    }
+    return objectStreams.get(num);
+  }
+
+  getObject = (num) => {
+    const entry = entries.get(num);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.type === 2) {
+      return objectStream(entry.stream)[entry.index];
+    }
+
+    const { end, ...object } = readIndirectObject(buffer, text, entry.offset, (ref) => resolve(ref).value);
+    if (object.num !== num) {
+      throw new Error(`Invalid PDF: object ${object.num} at the offset of object ${num}`);
+    }
+    return object;
+  }
+
+  return {
+    trailer,
+    startxref,
+    xrefStream,
+    updated,
+    size: numberEntry(trailer, 'Size'),
+    getObject,
+    resolve,
+    streamData: (object) => decodeStream(object.value, object.stream),
+  };
+}
+
+module.exports = {
+  sameValue,
+  readPdf,
+};
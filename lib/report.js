@@ -0,0 +1,48 @@
+/**
+ * Verification report of a file: its stamp, and optionally its history and
+ * the ledger it was recorded in, as printed by `xmp-stamp verify --json` and
+ * returned by `POST /verify` (see ./server).
+ */
+const { LEDGER_STATUS, checkFileAgainstLedger } = require('./ledger');
+const { verifyChain } = require('./chain');
+const { verifyFile } = require('./signing');
+
+// =============================================================================
+// Functions
+// =============================================================================
+/**
+ * @param {{signer?: import('./signers').Signer, trustStore?: {roots: import('crypto').X509Certificate[]}, keyring?: import('./keyring').Keyring, tsaTrustStore?: {roots: import('crypto').X509Certificate[]}, revocationList?: import('./revocation').RevocationList, ledger?: import('./ledger').Ledger, chain?: boolean, exiftool?: import("exiftool-vendored").ExifTool}} options
+ * @returns {Promise<{file: string, ok: boolean, stamped: boolean, id?: string, signatureValid: boolean, digestMatches: boolean, certificate?: Object, key?: Object, timestamp?: Object, revocation?: Object, chain?: Object[], ledger?: string, error?: string}>}
+ * `certificate` is whether the stamp's certificate is trusted when checked
+ * against a trust store, `key` the key of the stamp when checked against a
+ * keyring, `timestamp` whether its time-stamp token is valid when checked
+ * against a TSA trust store, `revocation` whether the stamp or its key was
+ * revoked when checked against a revocation list, `chain` the entries of
+ * verifyChain when checking the history, `ledger` the LEDGER_STATUS of the
+ * file when checked against a ledger
+ */
+const verificationReport = async (file, { signer, trustStore, keyring, tsaTrustStore, revocationList, ledger, chain, exiftool } = {}) => {
+  try {
+    const result = await verifyFile(file, { signer, trustStore, keyring, tsaTrustStore, revocationList, exiftool });
+    let ok = result.stamped && result.signatureValid && result.digestMatches
+      && (!result.timestamp || result.timestamp.valid)
+      && (!result.revocation || !result.revocation.revoked);
+    if (chain) {
+      const { valid, entries } = await verifyChain(file, { signer, trustStore, keyring, tsaTrustStore, exiftool });
+      ok = ok && valid;
+      result.chain = entries;
+    }
+    if (!ledger) {
+      return { file, ok, ...result };
+    }
+
+    const { status } = await checkFileAgainstLedger(file, ledger, { exiftool });
+    return { file, ok: ok && status === LEDGER_STATUS.MATCH, ...result, ledger: status };
+  } catch (e) {
+    return { file, ok: false, stamped: false, signatureValid: false, digestMatches: false, error: e.message };
+  }
+}
+
+module.exports = {
+  verificationReport,
+};
@@ -0,0 +1,207 @@
+/**
+ * Revocation list: the stamps (by uuid) and the signing keys (by key id) that
+ * are no longer valid, e.g. a withdrawn document or a leaked key, with the
+ * reason and date of each revocation. The list is signed like a stamp (see
+ * ./signers), so it can be published anywhere: it is loaded from a file or
+ * an HTTP(S) URL and only used once its signature verifies.
+ *
+ * A revoked stamp is revoked whenever it was signed. A revoked key revokes
+ * every stamp it signed, but the ones its trusted timestamp (see ./tsa) proves
+ * were signed before the revocation: the signing time a stamp claims could
+ * have been forged with the leaked key.
+ *
+ * A list signed earlier still verifies: so that an older one, without the
+ * latest revocations, can't be served in place of the current one, loading
+ * takes the oldest issue time accepted, or the greatest age.
+ */
+const fs = require('fs').promises;
+const http = require('http');
+const https = require('https');
+
+// =============================================================================
+// Const
+// =============================================================================
+const REVOCATION_TYPE = {
+  STAMP: 'stamp',
+  KEY: 'key',
+};
+
+const LIST_VERSION = 1;
+
+const DEFAULT_TIMEOUT = 30 * 1000;
+
+// =============================================================================
+// Functions
+// =============================================================================
+/**
+ * @typedef {Object} Revocation
+ * @property {string} type see REVOCATION_TYPE
+ * @property {string} id the stamp's uuid or the key id
+ * @property {string} reason
+ * @property {string} revokedAt ISO time
+ *
+ * @typedef {Object} RevocationList
+ * @property {number} version
+ * @property {string} issuedAt ISO time
+ * @property {Revocation[]} entries
+ * @property {string} keyId the key that signed the list
+ * @property {string} algorithm
+ * @property {string} signature base64
+ */
+
+/**
+ * @returns {Revocation} `entry` with its fields only, in order, checked
+ */
+const revocationEntry = ({ type, id, reason, revokedAt }) => {
+  if (!Object.values(REVOCATION_TYPE).includes(type)) {
+    throw new Error(`Unknown revocation type: ${type}`);
+  }
+  if (!id) {
+    throw new Error(`A revoked ${type} needs an id`);
+  }
+  if (Number.isNaN(Date.parse(revokedAt))) {
+    throw new Error(`Invalid revocation date of ${type} ${id}: ${revokedAt}`);
+  }
+  return { type, id, reason: reason || '', revokedAt };
+}
+
+/**
+ * The bytes that are signed: every field of the list but the signature, in a fixed order
+ */
+const revocationListMessage = ({ version, issuedAt, entries, keyId, algorithm }) => {
+  return Buffer.from(JSON.stringify({ version, issuedAt, entries: entries.map(revocationEntry), keyId, algorithm }), 'utf8');
+}
+
+/**
+ * @param {Revocation[]} entries `revokedAt` defaults to now
+ * @param {import('./signers').Signer} signer
+ * @returns {Promise<RevocationList>} the list of `entries`, issued now and signed by `signer`
+ */
+const signRevocationList = async (entries, signer) => {
+  const now = new Date().toISOString();
+  const unsigned = {
+    version: LIST_VERSION,
+    issuedAt: now,
+    entries: entries.map((entry) => revocationEntry({ ...entry, revokedAt: entry.revokedAt || now })),
+    keyId: signer.keyId,
+    algorithm: signer.algorithm,
+  };
+  const signature = await signer.sign(revocationListMessage(unsigned));
+
+  return { ...unsigned, signature: signature.toString('base64') };
+}
+
+/**
+ * @param {import('./signers').Signer[]} signers the keys allowed to sign revocation lists
+ * @returns {Promise<boolean>} whether the signature of `list` verifies with the signer of its key id
+ */
+const verifyRevocationList = async (list, signers) => {
+  const signer = signers.find((candidate) => candidate.keyId === list.keyId);
+  if (!signer || !list.signature || list.version !== LIST_VERSION || !Array.isArray(list.entries)) {
+    return false;
+  }
+  try {
+    return await signer.verify(revocationListMessage(list), Buffer.from(list.signature, 'base64'));
+  } catch (e) {
+    // An invalid entry: the list can't have been signed as it is
+    return false;
+  }
+}
+
+/**
+ * @returns {Promise<string>} the body of a GET of `url`
+ */
+const fetchText = (url, timeout) => new Promise((resolve, reject) => {
+  const req = (url.startsWith('https:') ? https : http).get(url, { timeout }, (res) => {
+    const chunks = [];
+    res.on('data', (chunk) => chunks.push(chunk));
+    res.on('end', () => {
+      if (res.statusCode !== 200) {
+        reject(new Error(`Could not load the revocation list from ${url}: HTTP ${res.statusCode}`));
+      } else {
+        resolve(Buffer.concat(chunks).toString('utf8'));
+      }
+    });
+    res.on('error', reject);
+  });
+  req.on('timeout', () => req.destroy(new Error(`Could not load the revocation list from ${url}: no answer within ${timeout} ms`)));
+  req.on('error', reject);
+});
+
+/**
+ * Throw if `list` was issued before `issuedAfter` or more than `maxAge` ms ago
+ *
+ * @param {string} source for the errors
+ */
+const checkIssuedAt = (list, source, { issuedAfter, maxAge }) => {
+  const issuedAt = new Date(list.issuedAt);
+  if (Number.isNaN(issuedAt.getTime())) {
+    throw new Error(`Invalid issue time of the revocation list ${source}: ${list.issuedAt}`);
+  }
+  if (issuedAfter !== undefined && issuedAt < new Date(issuedAfter)) {
+    throw new Error(`The revocation list ${source} was issued at ${list.issuedAt}, before ${new Date(issuedAfter).toISOString()}: it is older than the one accepted`);
+  }
+  if (maxAge !== undefined && Date.now() - issuedAt.getTime() > maxAge) {
+    throw new Error(`The revocation list ${source} was issued at ${list.issuedAt}, more than ${maxAge} ms ago`);
+  }
+}
+
+/**
+ * Load a revocation list and check its signature and issue time
+ *
+ * @param {string} source a file path, or an `http(s)://` URL
+ * @param {{signers: import('./signers').Signer[], timeout?: number, issuedAfter?: Date | string, maxAge?: number}} options
+ * the keys allowed to sign revocation lists, the time to wait for a URL in
+ * ms. `issuedAfter` refuses a list issued before it (e.g. the `issuedAt` of
+ * the last list loaded), `maxAge` one issued more than `maxAge` ms ago
+ * @returns {Promise<RevocationList>}
+ */
+const loadRevocationList = async (source, { signers, timeout = DEFAULT_TIMEOUT, issuedAfter, maxAge }) => {
+  const text = /^https?:\/\//.test(source) ? await fetchText(source, timeout) : await fs.readFile(source, 'utf8');
+  let list;
+  try {
+    list = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid revocation list ${source}: ${e.message}`);
+  }
+  if (!await verifyRevocationList(list, signers)) {
+    throw new Error(`The signature of the revocation list ${source} is invalid or of an unknown key`);
+  }
+  checkIssuedAt(list, source, { issuedAfter, maxAge });
+  return list;
+}
+
+/**
+ * @param {RevocationList} list
+ * @param {Revocation[]} entries revoked now unless they have a `revokedAt`
+ * @param {import('./signers').Signer} signer
+ * @returns {Promise<RevocationList>} `list` with `entries` added, in place of
+ * the ones of the same stamp or key, issued now and signed by `signer`
+ */
+const addRevocations = (list, entries, signer) => {
+  const kept = list.entries.filter((entry) => !entries.some(({ type, id }) => type === entry.type && id === entry.id));
+  return signRevocationList([...kept, ...entries], signer);
+}
+
+/**
+ * @param {import('./stamp').Stamp} stamp
+ * @param {RevocationList} list a list whose signature was checked, see loadRevocationList
+ * @param {{at?: Date}} options when the stamp was signed, as proven by its
+ * trusted timestamp: only a stamp signed before its key was revoked is not revoked with it
+ * @returns {{revoked: boolean, type?: string, id?: string, reason?: string, revokedAt?: string}}
+ * the revocation of the stamp, or of its key, if revoked
+ */
+const checkRevocation = (stamp, list, { at } = {}) => {
+  const entry = list.entries.find(({ type, id }) => type === REVOCATION_TYPE.STAMP && id === stamp.id)
+    || list.entries.find(({ type, id, revokedAt }) => type === REVOCATION_TYPE.KEY && id === stamp.keyId && !(at < new Date(revokedAt)));
+  return entry ? { revoked: true, ...revocationEntry(entry) } : { revoked: false };
+}
+
+module.exports = {
+  REVOCATION_TYPE,
+  signRevocationList,
+  verifyRevocationList,
+  loadRevocationList,
+  addRevocations,
+  checkRevocation,
+};
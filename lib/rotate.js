@@ -0,0 +1,71 @@
+/**
+ * Key rotation: re-sign the files stamped with a retired key of a keyring
+ * (see ./keyring) with its current key, in place. The new stamp keeps the
+ * earlier one, its signature included, in its history and links to it (see
+ * ./chain), so the chain of custody goes on from the retired key to the
+ * current one.
+ *
+ * Only a stamp that still verifies with the keyring, on a file whose content
+ * still matches it, is re-signed: rotating never vouches for a file the
+ * retired key didn't.
+ */
+const fs = require('fs').promises;
+const nodePath = require('path');
+const uuid = require('uuid');
+
+const { checkStampSignature, provenSigningTime, signAndStampFile, stampedDigestFile } = require('./signing');
+const { STAMP_POLICY, locateStamp } = require('./stamp');
+
+// =============================================================================
+// Functions
+// =============================================================================
+/**
+ * @param {string} path a stamped file
+ * @param {{signer: import('./signers').Signer, keyring: import('./keyring').Keyring, tsa?: import('./tsa').Tsa, tsaTrustStore?: {roots: import('crypto').X509Certificate[]}, ledger?: import('./ledger').Ledger, exiftool?: import("exiftool-vendored").ExifTool}} options
+ * `signer` has to be the current key of `keyring`. With a `tsa` the new
+ * signature is time-stamped, with a `ledger` the new stamp is recorded. With
+ * a `tsaTrustStore`, the stamp's time-stamp token proves that a key retired
+ * since signed it before (see keyringKey in ./keyring)
+ * @returns {Promise<{rotated: boolean, keyId: string, stamp?: import('./stamp').Stamp, reason?: string}>}
+ * the new stamp, or why there was none to make. `keyId` is the key of the stamp found
+ */
+const rotateFile = async (path, { signer, keyring, tsa, tsaTrustStore, ledger, exiftool }) => {
+  if (keyring.current.keyId !== signer.keyId) {
+    throw new Error('The signer is not the current key of the keyring');
+  }
+
+  const located = await locateStamp(path, { exiftool });
+  if (!located || !located.stamp.signature) {
+    throw new Error(`${path} is not stamped`);
+  }
+  const { stamp, sidecar } = located;
+  if (stamp.keyId === signer.keyId) {
+    return { rotated: false, keyId: stamp.keyId, reason: 'Already signed with the current key' };
+  }
+  if (sidecar) {
+    throw new Error('A sidecar stamp has no history to keep the earlier one in, restamp the file instead');
+  }
+
+  const { signatureValid, key } = await checkStampSignature(stamp, { keyring, at: provenSigningTime(stamp, tsaTrustStore) });
+  if (!signatureValid) {
+    throw new Error(`The stamp does not verify with the keyring${key.error ? `: ${key.error}` : ''}`);
+  }
+  if (stamp.digest !== await stampedDigestFile(path, located)) {
+    throw new Error('The content digest does not match, the file changed since it was stamped');
+  }
+
+  // Stamped on a copy next to `path`, which replaces it once written
+  const { dir, name, ext } = nodePath.parse(path);
+  const copy = nodePath.join(dir, `.${name}.rotate-${uuid.v4()}${ext}`);
+  try {
+    const rotated = await signAndStampFile(path, copy, { signer, tsa, ledger, policy: STAMP_POLICY.HISTORY, exiftool });
+    await fs.rename(copy, path);
+    return { rotated: true, keyId: stamp.keyId, stamp: rotated };
+  } finally {
+    await fs.rm(copy, { force: true });
+  }
+}
+
+module.exports = {
+  rotateFile,
+};
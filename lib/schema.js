@@ -0,0 +1,93 @@
+/**
+ * Schema of the stamp: our own xmp namespace and its properties.
+ *
+ * exiftoolHome/.ExifTool_config is generated from this file, run
+ * `npm run generate-config` after changing it.
+ */
+
+// =============================================================================
+// Const
+// =============================================================================
+const NAMESPACE = {
+  prefix: 'xmpStamp',
+  uri: 'https://github.com/toonpang/xmp-metadata/ns/stamp/1.0/',
+};
+
+/**
+ * Stamp field => xmp property (`xmpStamp:<property>`), exiftool tag name and
+ * exiftool `Writable` type. Tag names are prefixed so they don't clash with
+ * tags of other namespaces (e.g. xmpMM:DocumentID) when reading
+ */
+const STAMP_SCHEMA = {
+  id: { property: 'documentID', tag: 'StampDocumentID', writable: 'string' },
+  signature: { property: 'signature', tag: 'StampSignature', writable: 'string' },
+  algorithm: { property: 'algorithm', tag: 'StampAlgorithm', writable: 'string' },
+  keyId: { property: 'keyID', tag: 'StampKeyID', writable: 'string' },
+  signedAt: { property: 'signedAt', tag: 'StampSignedAt', writable: 'date' },
+  digest: { property: 'digest', tag: 'StampDigest', writable: 'string' },
+  previous: { property: 'previous', tag: 'StampPrevious', writable: 'string' },
+  certificate: { property: 'certificate', tag: 'StampCertificate', writable: 'string' },
+  timestamp: { property: 'timestamp', tag: 'StampTimestamp', writable: 'string' },
+  byteRange: { property: 'byteRange', tag: 'StampByteRange', writable: 'string' },
+};
+
+const STAMP_TAGS = Object.fromEntries(Object.entries(STAMP_SCHEMA).map(([field, { tag }]) => [field, tag]));
+
+/**
+ * Earlier stamps of the file, oldest first (`xmpStamp:history`): an rdf:Seq of
+ * structures with the same properties as the stamp. exiftool reads each one
+ * keyed by the property names, capitalized. Each stamp's `previous` is the
+ * hash of the one before it (see ./chain)
+ */
+const STAMP_HISTORY = { property: 'history', tag: 'StampHistory', struct: 'StampEntry' };
+
+// =============================================================================
+// Functions
+// =============================================================================
+/**
+ * @returns {string} the perl source of the .ExifTool_config declaring the namespace
+ */
+const generateExifToolConfig = () => {
+  const table = `Image::ExifTool::UserDefined::${NAMESPACE.prefix}`;
+  const properties = Object.values(STAMP_SCHEMA)
+    .map(({ property, tag, writable }) => `    ${property} => { Name => '${tag}', Writable => '${writable}' },`);
+  const fields = Object.values(STAMP_SCHEMA)
+    .map(({ property, writable }) => `    ${property} => { Writable => '${writable}' },`);
+
+  return [
+    '# Generated from lib/schema.js by `npm run generate-config`, do not edit',
+    `my %${STAMP_HISTORY.struct} = (`,
+    `    STRUCT_NAME => '${STAMP_HISTORY.struct}',`,
+    `    NAMESPACE => '${NAMESPACE.prefix}',`,
+    ...fields,
+    ');',
+    '',
+    '%Image::ExifTool::UserDefined = (',
+    "    'Image::ExifTool::XMP::Main' => {",
+    `        ${NAMESPACE.prefix} => {`,
+    `            SubDirectory => { TagTable => '${table}' },`,
+    '        },',
+    '    },',
+    ');',
+    '',
+    `%${table} = (`,
+    `    GROUPS => { 0 => 'XMP', 1 => 'XMP-${NAMESPACE.prefix}', 2 => 'Other' },`,
+    `    NAMESPACE => { '${NAMESPACE.prefix}' => '${NAMESPACE.uri}' },`,
+    // Struct tags are only writable in a writable table
+    "    WRITABLE => 'string',",
+    ...properties,
+    `    ${STAMP_HISTORY.property} => { Name => '${STAMP_HISTORY.tag}', Struct => \\%${STAMP_HISTORY.struct}, List => 'Seq' },`,
+    ');',
+    '',
+    '1;',
+    '',
+  ].join('\n');
+}
+
+module.exports = {
+  NAMESPACE,
+  STAMP_SCHEMA,
+  STAMP_TAGS,
+  STAMP_HISTORY,
+  generateExifToolConfig,
+};
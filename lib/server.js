@@ -0,0 +1,272 @@
+/**
+ * HTTP stamping / verification service, for the apps that would rather call
+ * stamping over HTTP than run ExifTool themselves:
+ *
+ * - `POST /stamp`: a `multipart/form-data` upload (field `file`) in, the
+ *   stamped file out, its stamp in the `X-Stamp-*` headers
+ * - `POST /verify`: same upload, the verification report out as JSON (see
+ *   ./report), with the history too given `?chain`
+ * - `GET /stamps/:uuid`: the ledger entry of a stamp
+ *
+ * Uploads are limited in size, and their format is sniffed from their bytes
+ * (see ./formats): the declared content type is ignored. Errors are JSON
+ * `{ error }` with the matching status, 422 for an upload that can't be
+ * stamped (corrupt, or a variant of its format that isn't supported).
+ */
+const http = require('http');
+const uuid = require('uuid');
+
+const { InvalidBufferError, withTempFile, readStampBuffer } = require('./buffer');
+const { exiftool } = require('./exiftool');
+const { FORMATS, detectFormat } = require('./formats');
+const { multipartBoundary, parseMultipart } = require('./multipart');
+const { verificationReport } = require('./report');
+const { signAndStampBuffer, recordStampedBuffer } = require('./signing');
+const { STAMP_POLICY } = require('./stamp');
+
+// =============================================================================
+// Const
+// =============================================================================
+const DEFAULT_MAX_BODY_SIZE = 50 * 1024 * 1024;
+
+const UPLOAD_FIELD = 'file';
+
+// =============================================================================
+// Classes
+// =============================================================================
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// =============================================================================
+// Functions
+// =============================================================================
+/**
+ * @returns {string} the percent-decoded path parameter, a malformed escape being the client's error
+ */
+const decodeParam = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    throw new HttpError(400, `Malformed escape in the path: ${value}`);
+  }
+}
+
+/**
+ * @returns {Promise<Buffer>} the body of `req`, rejecting past `maxBodySize` bytes
+ */
+const readBody = (req, maxBodySize) => {
+  if (Number(req.headers['content-length']) > maxBodySize) {
+    return Promise.reject(new HttpError(413, `The upload is larger than ${maxBodySize} bytes`));
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let length = 0;
+    req.on('data', (chunk) => {
+      length += chunk.length;
+      if (length > maxBodySize) {
+        req.removeAllListeners('data');
+        reject(new HttpError(413, `The upload is larger than ${maxBodySize} bytes`));
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * @returns {Promise<{filename?: string, data: Buffer, format: import('./formats').Format}>}
+ * the uploaded file and its format, sniffed from its bytes
+ */
+const readUpload = async (req, maxBodySize) => {
+  const boundary = multipartBoundary(req.headers['content-type']);
+  if (!boundary) {
+    throw new HttpError(415, 'Expected a multipart/form-data upload');
+  }
+
+  let parts;
+  try {
+    parts = parseMultipart(await readBody(req, maxBodySize), boundary);
+  } catch (e) {
+    throw e instanceof HttpError ? e : new HttpError(400, e.message);
+  }
+
+  const upload = parts.find(({ name }) => name === UPLOAD_FIELD);
+  if (!upload) {
+    throw new HttpError(400, `No "${UPLOAD_FIELD}" field in the upload`);
+  }
+  const format = detectFormat(upload.data);
+  if (!format) {
+    const names = FORMATS.map(({ name }) => name.toUpperCase()).join(', ');
+    throw new HttpError(415, `Unsupported file type, expected one of ${names}`);
+  }
+  return { filename: upload.filename, data: upload.data, format };
+}
+
+const sendJson = (res, status, body) => {
+  const json = Buffer.from(`${JSON.stringify(body, null, 2)}\n`);
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': json.length });
+  res.end(json);
+}
+
+/**
+ * @returns {string} an attachment named `filename`: as UTF-8, percent-encoded,
+ * and in ASCII for the clients without RFC 6266 support
+ */
+const contentDisposition = (filename) => {
+  const ascii = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encoded}`;
+}
+
+const stampRoute = async (req, res, params, { signer, tsa, ledger, policy, maxBodySize, exiftool: et }) => {
+  const { filename, data, format } = await readUpload(req, maxBodySize);
+  const [mimeType] = format.mimeTypes;
+
+  let stamped;
+  try {
+    if (policy === STAMP_POLICY.FAIL) {
+      const existing = await readStampBuffer(data, mimeType, { exiftool: et });
+      if (existing) {
+        throw new HttpError(409, `The file is already stamped (${existing.id})`);
+      }
+    }
+    stamped = await signAndStampBuffer(data, mimeType, { signer, tsa, policy, exiftool: et });
+  } catch (e) {
+    throw e instanceof InvalidBufferError ? new HttpError(422, `The file could not be stamped: ${e.message}`) : e;
+  }
+
+  const { buffer, stamp } = stamped;
+  const headers = {
+    'Content-Type': mimeType,
+    'Content-Length': buffer.length,
+    ...(filename ? { 'Content-Disposition': contentDisposition(filename) } : {}),
+    'X-Stamp-Id': stamp.id,
+    'X-Stamp-Digest': stamp.digest,
+    'X-Stamp-Signed-At': stamp.signedAt,
+  };
+  // Before the stamp is recorded, so that none is recorded that can't be sent
+  Object.entries(headers).forEach(([name, value]) => http.validateHeaderValue(name, value));
+  if (ledger) {
+    await recordStampedBuffer(ledger, data, stamped, filename);
+  }
+
+  res.writeHead(200, headers);
+  res.end(buffer);
+}
+
+const verifyRoute = async (req, res, params, { signer, trustStore, keyring, tsaTrustStore, revocationList, ledger, maxBodySize, exiftool: et }) => {
+  const { filename, data, format } = await readUpload(req, maxBodySize);
+  const chain = new URL(req.url, 'http://localhost').searchParams.has('chain');
+
+  const report = await withTempFile(data, format, (file) => verificationReport(file, { signer, trustStore, keyring, tsaTrustStore, revocationList, ledger, chain, exiftool: et }));
+  sendJson(res, 200, { ...report, file: filename });
+}
+
+const lookupRoute = async (req, res, [id], { ledger }) => {
+  if (!ledger) {
+    throw new HttpError(501, 'This server has no ledger');
+  }
+  if (!uuid.validate(id)) {
+    throw new HttpError(400, `Invalid stamp id: ${id}`);
+  }
+
+  const entry = await ledger.findById(id);
+  if (!entry) {
+    throw new HttpError(404, `No stamp ${id} in the ledger`);
+  }
+  sendJson(res, 200, entry);
+}
+
+const ROUTES = [
+  { method: 'POST', pattern: /^\/stamp$/, handler: stampRoute },
+  { method: 'POST', pattern: /^\/verify$/, handler: verifyRoute },
+  { method: 'GET', pattern: /^\/stamps\/([^/]+)$/, handler: lookupRoute },
+];
+
+/**
+ * @param {{signer?: import('./signers').Signer, tsa?: import('./tsa').Tsa, trustStore?: {roots: import('crypto').X509Certificate[]}, keyring?: import('./keyring').Keyring, tsaTrustStore?: {roots: import('crypto').X509Certificate[]}, revocationList?: import('./revocation').RevocationList, ledger?: import('./ledger').Ledger, policy?: string, maxBodySize?: number, exiftool?: import("exiftool-vendored").ExifTool}} options
+ * `signer` stamps (and verifies without a `trustStore` or `keyring`),
+ * time-stamped by `tsa` if given, `tsaTrustStore` checks the time-stamp
+ * tokens, `revocationList` the revocations (see ./revocation), `ledger`
+ * records the issued stamps and answers `GET /stamps/:uuid`, `policy` applies
+ * to the uploads already stamped (see STAMP_POLICY, history by default: fail
+ * answers 409). `exiftool` is ended on close
+ * @returns {{server: http.Server, listen: (port?: number, host?: string) => Promise<import('net').AddressInfo>, close: () => Promise<void>}}
+ * `close` stops taking connections, lets the requests in progress finish, then
+ * ends `exiftool`
+ */
+const createStampServer = ({
+  signer,
+  tsa,
+  trustStore,
+  keyring,
+  tsaTrustStore,
+  revocationList,
+  ledger,
+  policy = STAMP_POLICY.HISTORY,
+  maxBodySize = DEFAULT_MAX_BODY_SIZE,
+  exiftool: et = exiftool,
+} = {}) => {
+  const options = { signer, tsa, trustStore, keyring, tsaTrustStore, revocationList, ledger, policy, maxBodySize, exiftool: et };
+  // The responses in progress, to close their connection once sent when closing
+  const responses = new Set();
+  let closing = false;
+
+  const server = http.createServer(async (req, res) => {
+    responses.add(res);
+    res.on('close', () => responses.delete(res));
+    if (closing) {
+      res.setHeader('Connection', 'close');
+    }
+
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      const routes = ROUTES.filter(({ pattern }) => pattern.test(pathname));
+      const route = routes.find(({ method }) => method === req.method);
+      if (!route) {
+        throw routes.length > 0 ? new HttpError(405, `${req.method} is not allowed on ${pathname}`) : new HttpError(404, `Not found: ${pathname}`);
+      }
+
+      const params = route.pattern.exec(pathname).slice(1).map(decodeParam);
+      await route.handler(req, res, params, options);
+    } catch (e) {
+      // The rest of a refused upload is not read
+      if (e.status === 413) {
+        res.setHeader('Connection', 'close');
+      }
+      sendJson(res, e instanceof HttpError ? e.status : 500, { error: e.message });
+    }
+  });
+
+  return {
+    server,
+    listen: (port = 0, host = '127.0.0.1') => new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.off('error', reject);
+        resolve(server.address());
+      });
+    }),
+    close: async () => {
+      closing = true;
+      [...responses].filter((res) => !res.headersSent).forEach((res) => res.setHeader('Connection', 'close'));
+      await new Promise((resolve, reject) => {
+        server.close((e) => (e ? reject(e) : resolve()));
+        server.closeIdleConnections();
+      });
+      await et.end();
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_MAX_BODY_SIZE,
+  createStampServer,
+};
@@ -0,0 +1,60 @@
+/**
+ * Sidecar mode: the stamp in `<file>.xmp` next to a file whose bytes must
+ * never change (legal originals, read-only archives, formats exiftool can't
+ * write). The sidecar holds the same xmpStamp properties as an embedded stamp.
+ *
+ * As the file itself is left untouched, the digest of a sidecar stamp is the
+ * SHA-512 of every byte of the file (see ./checksum), for any format.
+ */
+const fs = require('fs').promises;
+
+const { generateChecksum } = require('./checksum');
+const { serializeStampXmp } = require('./xmp');
+
+// =============================================================================
+// Const
+// =============================================================================
+const SIDECAR_EXTENSION = '.xmp';
+
+// =============================================================================
+// Functions
+// =============================================================================
+/**
+ * `a/b.pdf` => `a/b.pdf.xmp`
+ */
+const sidecarPath = (path) => `${path}${SIDECAR_EXTENSION}`;
+
+const hasSidecar = async (path) => {
+  try {
+    await fs.access(sidecarPath(path));
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Write `stamp` to the sidecar of `path`. Like exiftool with an output file,
+ * an existing sidecar is refused
+ */
+const writeSidecar = async (path, stamp) => {
+  await fs.writeFile(sidecarPath(path), serializeStampXmp(stamp), { flag: 'wx' });
+}
+
+const removeSidecar = async (path) => {
+  await fs.rm(sidecarPath(path), { force: true });
+}
+
+/**
+ * @returns {Promise<string>} hex SHA-512 of the whole file
+ */
+const sidecarDigestFile = async (path) => generateChecksum(await fs.readFile(path));
+
+module.exports = {
+  SIDECAR_EXTENSION,
+  sidecarPath,
+  hasSidecar,
+  writeSidecar,
+  removeSidecar,
+  sidecarDigestFile,
+};
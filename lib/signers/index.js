@@ -0,0 +1,20 @@
+/**
+ * Signer backends. Every backend returns an object of the same shape:
+ *
+ * @typedef {Object} Signer
+ * @property {string} algorithm KMS SigningAlgorithmSpec style name, e.g. RSASSA_PSS_SHA_512
+ * @property {string} keyId
+ * @property {string} [certificate] the certificate chain of the key, as
+ * stamped (see ../x509), for the stamps to be verified with a trust store
+ * @property {(message: Buffer) => Promise<Buffer>} sign
+ * @property {(message: Buffer, signature: Buffer) => Promise<boolean>} verify
+ */
+const { createKmsSigner } = require('./kms');
+const { publicKeyFingerprint, createLocalSigner, loadLocalSigner } = require('./local');
+
+module.exports = {
+  createKmsSigner,
+  createLocalSigner,
+  loadLocalSigner,
+  publicKeyFingerprint,
+};
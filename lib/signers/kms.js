@@ -0,0 +1,59 @@
+/**
+ * Signer backed by AWS KMS (the key never leaves KMS).
+ */
+const { SignCommand, VerifyCommand, SigningAlgorithmSpec, MessageType } = require("@aws-sdk/client-kms");
+
+const { encodeCertificateChain } = require('../x509');
+
+// =============================================================================
+// Functions
+// =============================================================================
+/**
+ * @param {{client: import("@aws-sdk/client-kms").KMSClient, keyId: string, algorithm?: string, certificate?: string | Buffer}} options
+ * `client` can be anything with a `send(command)`, e.g. KMSClient or KMS.
+ * `certificate` is the PEM certificate chain issued for the KMS key, its own
+ * first, for the stamps to be verified without KMS (see ../x509)
+ * @returns {import('./index').Signer}
+ */
+const createKmsSigner = ({ client, keyId, algorithm = SigningAlgorithmSpec.RSASSA_PSS_SHA_512, certificate }) => {
+  if (!client || !keyId) {
+    throw new Error('A KMS client and key id are required');
+  }
+
+  return {
+    algorithm,
+    keyId,
+    ...(certificate ? { certificate: encodeCertificateChain(certificate) } : {}),
+    sign: async (message) => {
+      const { Signature } = await client.send(new SignCommand({
+        SigningAlgorithm: algorithm,
+        KeyId: keyId,
+        Message: message,
+        MessageType: MessageType.RAW,
+      }));
+      return Buffer.from(Signature);
+    },
+    verify: async (message, signature) => {
+      try {
+        const { SignatureValid } = await client.send(new VerifyCommand({
+          SigningAlgorithm: algorithm,
+          KeyId: keyId,
+          Message: message,
+          MessageType: MessageType.RAW,
+          Signature: signature,
+        }));
+        return SignatureValid === true;
+      } catch (e) {
+        // KMS reports a bad signature as an exception rather than SignatureValid: false
+        if (e.name === 'KMSInvalidSignatureException') {
+          return false;
+        }
+        throw e;
+      }
+    },
+  };
+}
+
+module.exports = {
+  createKmsSigner,
+};
@@ -0,0 +1,115 @@
+/**
+ * Signer backed by a local PEM key, using node crypto only (no network).
+ *
+ * Algorithms are named the same way as KMS SigningAlgorithmSpec, so stamps
+ * made by either backend read the same.
+ */
+const crypto = require('crypto');
+const fs = require('fs').promises;
+
+const { encodeCertificateChain, decodeCertificateChain } = require('../x509');
+
+// =============================================================================
+// Const
+// =============================================================================
+const ECDSA_HASHES = {
+  prime256v1: 'sha256',
+  secp384r1: 'sha384',
+  secp521r1: 'sha512',
+};
+
+// =============================================================================
+// Functions
+// =============================================================================
+/**
+ * Hex SHA-256 of the DER encoded public key, used as the key id when none is given
+ */
+const publicKeyFingerprint = (publicKey) => {
+  return crypto
+    .createHash('sha256')
+    .update(publicKey.export({ type: 'spki', format: 'der' }))
+    .digest('hex');
+}
+
+/**
+ * Map a key to the node crypto sign/verify arguments and the algorithm name
+ */
+const algorithmFor = (key) => {
+  switch (key.asymmetricKeyType) {
+    case 'rsa':
+    case 'rsa-pss':
+      // Same parameters KMS uses for RSASSA_PSS_SHA_512: salt length = digest length
+      return {
+        algorithm: 'RSASSA_PSS_SHA_512',
+        hash: 'sha512',
+        options: { padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 64 },
+      };
+    case 'ec': {
+      const hash = ECDSA_HASHES[key.asymmetricKeyDetails.namedCurve];
+      if (!hash) {
+        throw new Error(`Unsupported ECDSA curve: ${key.asymmetricKeyDetails.namedCurve}`);
+      }
+      return { algorithm: `ECDSA_SHA_${hash.slice(3)}`, hash, options: {} };
+    }
+    case 'ed25519':
+      return { algorithm: 'ED25519', hash: null, options: {} };
+    default:
+      throw new Error(`Unsupported key type: ${key.asymmetricKeyType}`);
+  }
+}
+
+/**
+ * @param {{privateKey?: string | Buffer | crypto.KeyObject, publicKey?: string | Buffer | crypto.KeyObject, keyId?: string, certificate?: string | Buffer}} options
+ * PEM keys or KeyObjects. Without a private key the signer can only verify.
+ * `certificate` is the PEM certificate chain of the key, its own first (see ../x509)
+ * @returns {import('./index').Signer}
+ */
+const createLocalSigner = ({ privateKey, publicKey, keyId, certificate } = {}) => {
+  if (!privateKey && !publicKey) {
+    throw new Error('A private or public key is required');
+  }
+
+  const privateKeyObject = privateKey && (privateKey instanceof crypto.KeyObject ? privateKey : crypto.createPrivateKey(privateKey));
+  const publicKeyObject = publicKey instanceof crypto.KeyObject && publicKey.type === 'public'
+    ? publicKey
+    : crypto.createPublicKey(publicKey || privateKeyObject);
+  const { algorithm, hash, options } = algorithmFor(publicKeyObject);
+
+  const chain = certificate && encodeCertificateChain(certificate);
+  if (chain && publicKeyFingerprint(decodeCertificateChain(chain)[0].publicKey) !== publicKeyFingerprint(publicKeyObject)) {
+    throw new Error('The certificate is not the one of the key');
+  }
+
+  return {
+    algorithm,
+    keyId: keyId || publicKeyFingerprint(publicKeyObject),
+    ...(chain ? { certificate: chain } : {}),
+    sign: async (message) => {
+      if (!privateKeyObject) {
+        throw new Error('This signer has no private key and can only verify');
+      }
+      return crypto.sign(hash, message, { key: privateKeyObject, ...options });
+    },
+    verify: async (message, signature) => {
+      return crypto.verify(hash, message, { key: publicKeyObject, ...options }, signature);
+    },
+  };
+}
+
+/**
+ * Same as createLocalSigner, reading the PEM keys from disk
+ */
+const loadLocalSigner = async ({ privateKeyFile, publicKeyFile, certificateFile, keyId } = {}) => {
+  return createLocalSigner({
+    privateKey: privateKeyFile && await fs.readFile(privateKeyFile),
+    publicKey: publicKeyFile && await fs.readFile(publicKeyFile),
+    certificate: certificateFile && await fs.readFile(certificateFile),
+    keyId,
+  });
+}
+
+module.exports = {
+  publicKeyFingerprint,
+  createLocalSigner,
+  loadLocalSigner,
+};
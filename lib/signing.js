@@ -0,0 +1,363 @@
+/**
+ * Sign-and-embed pipeline: generate an id, sign it together with the content
+ * digest (see ./digest) with a signer backend (see ./signers) and write the
+ * stamp with its base64 signature.
+ *
+ * The content digest leaves out the xmp packet, so it can be recomputed from
+ * the stamped file and the signature covers the file's own content. A sidecar
+ * stamp covers every byte of the untouched file instead (see ./sidecar)
+ *
+ * Restamping a stamped file keeps the earlier stamp in the new one's history,
+ * and the new signature covers the earlier stamp's hash (see ./chain)
+ *
+ * With a TSA, the signature is then time-stamped (see ./tsa): the token is
+ * stamped along, outside of what is signed
+ *
+ * A PDF stamped by an incremental update (see ./pdf) is left as it was before
+ * the update: its digest covers those very bytes, recorded as the stamp's
+ * `byteRange`, which is signed too
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const uuid = require('uuid');
+
+const { createBufferingStampStream, readingBuffer, stampBuffer, readStampBuffer } = require('./buffer');
+const { generateChecksum } = require('./checksum');
+const { contentDigest, contentDigestFile } = require('./digest');
+const pdfFormat = require('./formats/pdf');
+const { incrementalByteRange, byteRangeDigest } = require('./pdf');
+const { sidecarDigestFile } = require('./sidecar');
+const { STAMP_POLICY, stampFile, stampSidecar, locateStamp } = require('./stamp');
+const { keyringKey } = require('./keyring');
+const { checkRevocation } = require('./revocation');
+const { createLocalSigner } = require('./signers');
+const { requestTimestamp, verifyTimestampToken } = require('./tsa');
+const { decodeCertificateChain, verifyCertificateChain } = require('./x509');
+
+// =============================================================================
+// Functions
+// =============================================================================
+/**
+ * The bytes that are signed: every field of the stamp but the signature (and
+ * its time-stamp token), in a fixed order. `previous`, `certificate` and
+ * `byteRange` are left out when there is none, as in the stamps signed before they existed
+ *
+ * The certificate chain is signed by its hex SHA-512, which keeps the message
+ * within the 4096 bytes KMS signs as is
+ */
+const signingMessage = ({ id, digest, algorithm, keyId, signedAt, previous, certificate, byteRange }) => {
+  const certificateHash = certificate ? generateChecksum(certificate) : undefined;
+  return Buffer.from(JSON.stringify({ id, digest, algorithm, keyId, signedAt, previous, certificate: certificateHash, byteRange }), 'utf8');
+}
+
+/**
+ * @param {import('./signers').Signer[]} signers e.g. local trust anchors (see ./trust)
+ * @returns {Promise<boolean>} whether the signature of `stamp` verifies with
+ * the signer of its key id
+ */
+const verifyStampSignature = async (stamp, signers) => {
+  const signer = signers.find((candidate) => candidate && candidate.keyId === stamp.keyId);
+  return Boolean(signer && stamp.signature)
+    && signer.verify(signingMessage(stamp), Buffer.from(stamp.signature, 'base64'));
+}
+
+/**
+ * Check the signature of `stamp` with the certificate it carries, which has to
+ * be trusted by `trustStore` (see ./x509) now, or when the stamp was signed if
+ * that is proven. Not at its `signedAt`, which is only what the signer claims
+ *
+ * @param {{at?: Date}} options when the stamp was signed, if proven (e.g. by
+ * its verified time-stamp token)
+ * @returns {Promise<{signatureValid: boolean, certificate: {trusted: boolean, error?: string}}>}
+ * the signature is only valid with a trusted certificate
+ */
+const verifyStampCertificate = async (stamp, trustStore, { at } = {}) => {
+  if (!stamp.certificate) {
+    return { signatureValid: false, certificate: { trusted: false, error: 'The stamp carries no certificate' } };
+  }
+
+  const chain = decodeCertificateChain(stamp.certificate);
+  const certificate = verifyCertificateChain(chain, trustStore, { at });
+  const signer = createLocalSigner({ publicKey: chain[0].publicKey, keyId: stamp.keyId });
+
+  return { signatureValid: certificate.trusted && await verifyStampSignature(stamp, [signer]), certificate };
+}
+
+/**
+ * Throw unless one of the ways to check a signature is given
+ */
+const requireVerifier = ({ signer, trustAnchors, trustStore, keyring }) => {
+  if (!signer && !trustAnchors && !trustStore && !keyring) {
+    throw new Error('A signer, keyring, trust store or trust anchors are required to verify a stamp');
+  }
+}
+
+/**
+ * Check the signature of `stamp` with the first of: its certificate against
+ * `trustStore`, the key of its key id in `keyring` (see ./keyring), the trust
+ * anchor of its key id, `signer`
+ *
+ * @param {{signer?: import('./signers').Signer, trustAnchors?: import('./signers').Signer[], trustStore?: {roots: import('crypto').X509Certificate[]}, keyring?: import('./keyring').Keyring, at?: Date}} options
+ * `at` is when the stamp was signed, as proven by its time-stamp token (see
+ * provenSigningTime). The certificate is checked now without it, and a retired
+ * key only used until it is retired: the `signedAt` of the stamp proves nothing
+ * @returns {Promise<{signatureValid: boolean, certificate?: {trusted: boolean, error?: string}, key?: {keyId: string, status: string, retiredAt?: string, error?: string}}>}
+ * `certificate` when checked against `trustStore`, `key` against `keyring`
+ */
+const checkStampSignature = async (stamp, { signer, trustAnchors, trustStore, keyring, at } = {}) => {
+  requireVerifier({ signer, trustAnchors, trustStore, keyring });
+  if (trustStore) {
+    return verifyStampCertificate(stamp, trustStore, { at });
+  }
+  if (keyring) {
+    const { signer: found, key } = keyringKey(keyring, stamp.keyId, at);
+    return { signatureValid: Boolean(found) && await verifyStampSignature(stamp, [found]), key };
+  }
+  if (trustAnchors) {
+    return { signatureValid: await verifyStampSignature(stamp, trustAnchors) };
+  }
+  return { signatureValid: await signer.verify(signingMessage(stamp), Buffer.from(stamp.signature, 'base64')) };
+}
+
+/**
+ * Check the time-stamp token of `stamp` against `tsaTrustStore`, the roots of
+ * the TSAs (see ./x509)
+ *
+ * @returns {{valid: boolean, time?: string, error?: string}} see verifyTimestampToken in ./tsa
+ */
+const verifyStampTimestamp = (stamp, tsaTrustStore) => {
+  if (!stamp.timestamp) {
+    return { valid: false, error: 'The stamp carries no timestamp' };
+  }
+  return verifyTimestampToken(Buffer.from(stamp.timestamp, 'base64'), Buffer.from(stamp.signature, 'base64'), tsaTrustStore);
+}
+
+/**
+ * @returns {Date | undefined} when `stamp` was signed as proven by its
+ * time-stamp token checked against `tsaTrustStore`, undefined without a valid one
+ */
+const provenSigningTime = (stamp, tsaTrustStore) => {
+  const timestamp = tsaTrustStore && verifyStampTimestamp(stamp, tsaTrustStore);
+  return timestamp && timestamp.valid ? new Date(timestamp.time) : undefined;
+}
+
+/**
+ * @returns {string} the hex SHA-512 of every field of `stamp` (signature and
+ * timestamp included, history left out), what the next stamp's `previous` signs over
+ */
+const stampHash = ({ id, digest, algorithm, keyId, signedAt, previous, certificate, byteRange, signature, timestamp }) => {
+  return generateChecksum(JSON.stringify({ id, digest, algorithm, keyId, signedAt, previous, certificate, byteRange, signature, timestamp }));
+}
+
+/**
+ * @param {import('./stamp').Stamp | undefined} existing the stamp already in the file
+ * @returns {string | undefined} the hash the new stamp links to: the existing
+ * stamp's when `policy` keeps it in the history, the one the existing stamp
+ * linked to when the new stamp takes its place in the chain
+ */
+const previousHash = (existing, policy) => {
+  if (!existing) {
+    return undefined;
+  }
+  return policy === STAMP_POLICY.HISTORY ? stampHash(existing) : existing.previous;
+}
+
+/**
+ * @returns {import('./stamp').Stamp} `signed` with the history of the stamp
+ * it overwrites, so that it takes its place in the chain (see previousHash)
+ */
+const withOverwrittenHistory = (signed, existing, policy) => {
+  return policy === STAMP_POLICY.OVERWRITE && existing && existing.history ? { ...signed, history: existing.history } : signed;
+}
+
+/**
+ * A fresh uuid, the digest (and the byte range it covers), the signer's
+ * algorithm / key id, the signing time, the hash of the `previous` stamp and
+ * the signer's certificate if any and the signature over all of them,
+ * time-stamped by `tsa` if given
+ *
+ * @param {{digest: string, byteRange?: string}} digested see digestForStamp
+ * @param {import('./tsa').Tsa} [tsa]
+ */
+const signStamp = async ({ digest, byteRange }, signer, previous, tsa) => {
+  const unsigned = {
+    id: uuid.v4(),
+    digest,
+    algorithm: signer.algorithm,
+    keyId: signer.keyId,
+    signedAt: new Date().toISOString(),
+    ...(previous ? { previous } : {}),
+    ...(signer.certificate ? { certificate: signer.certificate } : {}),
+    ...(byteRange ? { byteRange } : {}),
+  };
+  const signature = (await signer.sign(signingMessage(unsigned))).toString('base64');
+
+  return { ...unsigned, signature, ...(tsa ? { timestamp: await requestTimestamp(tsa, signature) } : {}) };
+}
+
+/**
+ * @param {boolean} incremental whether a PDF is stamped by an incremental update
+ * @returns {Promise<{digest: string, byteRange?: string}>} what the stamp of
+ * `buffer` signs: the digest of every byte the update leaves as it is and
+ * their range, the content digest otherwise
+ */
+const digestForStamp = async (buffer, incremental) => {
+  if (incremental && pdfFormat.detect(buffer)) {
+    return { digest: generateChecksum(buffer), byteRange: incrementalByteRange(buffer) };
+  }
+  return { digest: await contentDigest(buffer) };
+}
+
+/**
+ * Stamp a copy of `input` at `output` with a fresh uuid, the content digest,
+ * the signer's algorithm / key id, the signing time and the signature over all of them
+ *
+ * @param {{signer: import('./signers').Signer, tsa?: import('./tsa').Tsa, ledger?: import('./ledger').Ledger, policy?: string, c2pa?: boolean, incremental?: boolean, exiftool?: import("exiftool-vendored").ExifTool}} options
+ * with a `tsa`, the signature is time-stamped (see ./tsa). With a `ledger`,
+ * the stamp is recorded in it once written, with the checksums of `input` and
+ * `output`. `policy` applies to an existing stamp (see stampFile), by default
+ * it is kept in the history and linked to. With `c2pa`, the stamp is also
+ * embedded as a C2PA-style manifest (see ./c2pa). With `incremental`, a PDF
+ * is stamped by an incremental update, the stamp signing its bytes (see ./pdf)
+ * @returns {Promise<import('./stamp').Stamp>} the stamp that was written
+ */
+const signAndStampFile = async (input, output, { signer, tsa, ledger, policy = STAMP_POLICY.HISTORY, c2pa, incremental, exiftool }) => {
+  const located = await locateStamp(input, { exiftool });
+  const existing = located && !located.sidecar ? located.stamp : undefined;
+  const signed = await signStamp(await digestForStamp(await fs.readFile(input), incremental), signer, previousHash(existing, policy), tsa);
+  const { history, ...stamp } = await stampFile(input, output, withOverwrittenHistory(signed, existing, policy), { policy, c2pa, incremental, exiftool });
+  if (ledger) {
+    await ledger.append({
+      ...stamp,
+      source: path.resolve(input),
+      sourceChecksum: generateChecksum(await fs.readFile(input)),
+      checksum: generateChecksum(await fs.readFile(output)),
+    });
+  }
+  return stamp;
+}
+
+/**
+ * Same as signAndStampFile, writing the stamp to the sidecar `<input>.xmp`
+ * with the digest of the whole, untouched `input`
+ *
+ * @param {{signer: import('./signers').Signer, tsa?: import('./tsa').Tsa, ledger?: import('./ledger').Ledger}} options
+ * @returns {Promise<import('./stamp').Stamp>} the stamp that was written
+ */
+const signAndStampSidecar = async (input, { signer, tsa, ledger }) => {
+  const stamp = await stampSidecar(input, await signStamp({ digest: await sidecarDigestFile(input) }, signer, undefined, tsa));
+  if (ledger) {
+    await ledger.append({ ...stamp, source: path.resolve(input) });
+  }
+  return stamp;
+}
+
+/**
+ * Record in `ledger` a stamp written by stampBuffer on `input`, as issued for `source`
+ *
+ * @param {{buffer: Buffer, stamp: import('./stamp').Stamp}} stamped
+ * @returns {Promise<import('./ledger').LedgerEntry>}
+ */
+const recordStampedBuffer = (ledger, input, stamped, source) => ledger.append({
+  ...stamped.stamp,
+  source,
+  sourceChecksum: generateChecksum(input),
+  checksum: generateChecksum(stamped.buffer),
+});
+
+/**
+ * Same as signAndStampFile, in memory (see ./buffer). A buffer that can't be
+ * read or stamped rejects with an InvalidBufferError, unlike a failing signer
+ *
+ * @param {{signer: import('./signers').Signer, tsa?: import('./tsa').Tsa, ledger?: import('./ledger').Ledger, source?: string, policy?: string, c2pa?: boolean, incremental?: boolean, exiftool?: import("exiftool-vendored").ExifTool}} options
+ * `source` is what the ledger records the stamp as issued for, e.g. the upload's name
+ * @returns {Promise<{buffer: Buffer, stamp: import('./stamp').Stamp}>} the stamped copy and its stamp
+ */
+const signAndStampBuffer = async (buffer, mimeType, { signer, tsa, ledger, source, policy = STAMP_POLICY.HISTORY, c2pa, incremental, exiftool }) => {
+  const existing = await readStampBuffer(buffer, mimeType, { exiftool });
+  const digest = await readingBuffer(() => digestForStamp(buffer, incremental));
+  const signed = await signStamp(digest, signer, previousHash(existing, policy), tsa);
+  const { buffer: output, stamp: { history, ...stamp } } = await stampBuffer(buffer, mimeType, withOverwrittenHistory(signed, existing, policy), { policy, c2pa, incremental, exiftool });
+  const stamped = { buffer: output, stamp };
+  if (ledger) {
+    await recordStampedBuffer(ledger, buffer, stamped, source);
+  }
+  return stamped;
+}
+
+/**
+ * signAndStampBuffer as a Transform stream, see createStampStream in ./buffer
+ */
+const createSignAndStampStream = (mimeType, options) => {
+  return createBufferingStampStream((buffer) => signAndStampBuffer(buffer, mimeType, options));
+}
+
+/**
+ * The digest a stamp of `path` is checked against: the content digest for an
+ * embedded stamp, the digest of its byte range for a stamp with one (written
+ * by an incremental PDF update, see ./pdf), the digest of the whole file for a sidecar
+ *
+ * @param {{stamp?: import('./stamp').Stamp, sidecar: boolean}} located see locateStamp
+ */
+const stampedDigestFile = async (path, { stamp, sidecar }) => {
+  if (sidecar) {
+    return sidecarDigestFile(path);
+  }
+  return stamp && stamp.byteRange ? byteRangeDigest(await fs.readFile(path), stamp.byteRange) : contentDigestFile(path);
+}
+
+/**
+ * Read the stamp back from `path` (embedded or sidecar), check its signature
+ * and whether the digest still matches the file
+ *
+ * @param {{signer?: import('./signers').Signer, trustAnchors?: import('./signers').Signer[], trustStore?: {roots: import('crypto').X509Certificate[]}, keyring?: import('./keyring').Keyring, tsaTrustStore?: {roots: import('crypto').X509Certificate[]}, revocationList?: import('./revocation').RevocationList, exiftool?: import("exiftool-vendored").ExifTool}} options
+ * with a `trustStore` (see ./x509), the signature is checked with the
+ * certificate the stamp carries, with a `keyring` (see ./keyring) or
+ * `trustAnchors` (see ./trust) with the key of the stamp's key id, otherwise
+ * with `signer`. With a `tsaTrustStore`, the stamp's time-stamp token is
+ * checked too, and the certificate or key at the token's time rather than at
+ * the signing time the stamp claims. With a `revocationList` (see
+ * ./revocation), whether the stamp or its key was revoked
+ * @returns {Promise<{stamped: boolean, id?: string, signatureValid: boolean, digestMatches: boolean, certificate?: {trusted: boolean, error?: string}, key?: {keyId: string, status: string, retiredAt?: string, error?: string}, timestamp?: {valid: boolean, time?: string, error?: string}, revocation?: {revoked: boolean, type?: string, id?: string, reason?: string, revokedAt?: string}}>}
+ */
+const verifyFile = async (path, { signer, trustAnchors, trustStore, keyring, tsaTrustStore, revocationList, exiftool } = {}) => {
+  requireVerifier({ signer, trustAnchors, trustStore, keyring });
+  const { stamp, sidecar } = await locateStamp(path, { exiftool }) || {};
+  if (!stamp || !stamp.id || !stamp.signature) {
+    return { stamped: false, id: stamp && stamp.id, signatureValid: false, digestMatches: false };
+  }
+
+  const digestMatches = stamp.digest === await stampedDigestFile(path, { stamp, sidecar });
+  const timestamp = tsaTrustStore && verifyStampTimestamp(stamp, tsaTrustStore);
+  const at = timestamp && timestamp.valid ? new Date(timestamp.time) : undefined;
+  const { signatureValid, certificate, key } = await checkStampSignature(stamp, { signer, trustAnchors, trustStore, keyring, at });
+  const revocation = revocationList && checkRevocation(stamp, revocationList, { at });
+
+  return {
+    stamped: true,
+    id: stamp.id,
+    signatureValid,
+    digestMatches,
+    ...(certificate ? { certificate } : {}),
+    ...(key ? { key } : {}),
+    ...(timestamp ? { timestamp } : {}),
+    ...(revocation ? { revocation } : {}),
+  };
+}
+
+module.exports = {
+  signingMessage,
+  verifyStampSignature,
+  verifyStampCertificate,
+  checkStampSignature,
+  verifyStampTimestamp,
+  provenSigningTime,
+  stampHash,
+  signAndStampFile,
+  signAndStampSidecar,
+  signAndStampBuffer,
+  recordStampedBuffer,
+  createSignAndStampStream,
+  stampedDigestFile,
+  verifyFile,
+};
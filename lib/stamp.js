@@ -0,0 +1,417 @@
+/**
+ * Writing / reading the stamp as xmp tags of our own namespace (see ./schema),
+ * in JS by the format itself when it can (see ./formats), otherwise through the
+ * library's own ExifTool instance (see ./exiftool).
+ *
+ * The stamp is either embedded in the file or in its sidecar (see ./sidecar).
+ * Reading checks the embedded stamp first and the sidecar second.
+ */
+const fs = require('fs').promises;
+const nodePath = require('path');
+const uuid = require('uuid');
+
+const { c2paFormat, embedC2paManifest, exportC2paManifest, removeC2paManifest } = require('./c2pa');
+const { generateChecksum } = require('./checksum');
+const { exiftool, ensureStampTags } = require('./exiftool');
+const { detectFormat, detectFormatFile } = require('./formats');
+const { sidecarPath, hasSidecar, writeSidecar, removeSidecar } = require('./sidecar');
+const { snapshotTrailerId, restoreTrailerId, revertStampUpdates, incrementalPdfFormat, incrementalByteRange } = require('./pdf');
+const { NAMESPACE, STAMP_SCHEMA, STAMP_TAGS, STAMP_HISTORY } = require('./schema');
+
+// =============================================================================
+// Const
+// =============================================================================
+const defaultAdditionalWriteArgs = ['-api', 'Compact=Shorthand'];
+
+/**
+ * What stamping does when the file already carries a stamp
+ */
+const STAMP_POLICY = {
+  // Refuse to stamp it
+  FAIL: 'fail',
+  // Replace the existing stamp, every field of it is dropped (history included)
+  OVERWRITE: 'overwrite',
+  // Replace the existing stamp, which is appended to the `history` of the new one
+  HISTORY: 'history',
+};
+
+// =============================================================================
+// Functions
+// =============================================================================
+/**
+ * Turn values read by exiftool-vendored back into the strings that were
+ * written: it parses numbers, and exiftool prints xmp dates as
+ * `YYYY:MM:DD HH:MM:SS[.sss][zone]`
+ */
+const fromTagValue = (value, writable) => {
+  if (writable === 'date') {
+    const date = typeof value.toDate === 'function'
+      ? value.toDate()
+      : new Date(String(value).replace(/^(\d{4}):(\d{2}):(\d{2}) /, '$1-$2-$3T'));
+    if (!isNaN(date.getTime())) {
+      return date.toISOString();
+    }
+  }
+  return String(value);
+}
+
+/**
+ * exiftool's name of a field of a StampHistory entry: the xmp property, capitalized
+ */
+const historyKey = (property) => `${property[0].toUpperCase()}${property.slice(1)}`;
+
+/**
+ * Escape a value of an exiftool structure (`{field=value,...}`), where `,`,
+ * `]`, `}` and `|`, or a leading `[` / `{`, are escaped with `|`
+ */
+const escapeStructValue = (value) => String(value).replace(/[,\]}|]|^[[{]/g, '|$&');
+
+/**
+ * @returns {Stamp | undefined} the stamp in tags read by exiftool-vendored
+ */
+const stampFromTags = (tags) => {
+  const fromStruct = (struct, key) => {
+    const entry = {};
+    Object.entries(STAMP_SCHEMA)
+      .filter(([, schema]) => struct[key(schema)] !== undefined)
+      .forEach(([field, schema]) => { entry[field] = fromTagValue(struct[key(schema)], schema.writable); });
+    return entry;
+  }
+
+  const stamp = fromStruct(tags, ({ tag }) => tag);
+  const history = tags[STAMP_HISTORY.tag];
+  if (history !== undefined) {
+    stamp.history = [].concat(history).map((struct) => fromStruct(struct, ({ property }) => historyKey(property)));
+  }
+
+  return Object.keys(stamp).length > 0 ? stamp : undefined;
+}
+
+/**
+ * @returns {Object} the exiftool tags writing `stamp` over `existing`: the
+ * fields of `existing` that `stamp` doesn't have are deleted, and the history
+ * is written as a whole if `stamp` has one, deleted otherwise
+ */
+const stampToTags = (stamp, existing = {}) => {
+  const tags = {};
+  Object.keys(STAMP_SCHEMA)
+    .filter((field) => stamp[field] !== undefined || existing[field] !== undefined)
+    .forEach((field) => { tags[STAMP_TAGS[field]] = stamp[field] === undefined ? null : stamp[field]; });
+
+  if (stamp.history) {
+    tags[STAMP_HISTORY.tag] = stamp.history.map((entry) => {
+      const struct = {};
+      Object.entries(STAMP_SCHEMA)
+        .filter(([field]) => entry[field] !== undefined)
+        .forEach(([field, { property }]) => { struct[property] = escapeStructValue(entry[field]); });
+      return struct;
+    });
+  } else if (existing.history) {
+    tags[STAMP_HISTORY.tag] = null;
+  }
+
+  return tags;
+}
+
+/**
+ * @param {string} name the file, for the error
+ * @param {Stamp | undefined} existing the stamp already in the file
+ * @returns {Stamp} the stamp to write over `existing` under `policy` (see STAMP_POLICY)
+ */
+const resolveStamp = (name, existing, stamp, policy) => {
+  if (!Object.values(STAMP_POLICY).includes(policy)) {
+    throw new Error(`Unknown stamp policy: ${policy}`);
+  }
+  if (!existing) {
+    return stamp;
+  }
+
+  switch (policy) {
+    case STAMP_POLICY.FAIL:
+      throw new Error(`${name} is already stamped (${existing.id})`);
+    case STAMP_POLICY.HISTORY: {
+      const { history = [], ...previous } = existing;
+      return { ...stamp, history: [...history, previous] };
+    }
+    default:
+      return stamp;
+  }
+}
+
+/**
+ * Write `stamp` into `buffer` in JS, for the formats that can (see jsStampFormat)
+ *
+ * @param {string} name the file, for the errors
+ * @returns {Promise<Buffer>} the stamped copy
+ */
+const writeStampBuffer = async (buffer, format, name, stamp, { policy, c2pa }) => {
+  const written = resolveStamp(name, await format.readStamp(buffer), stamp, policy);
+  const stamped = await format.writeStamp(buffer, written);
+  return c2pa ? embedC2paManifest(stamped, exportC2paManifest(written, { format: format.mimeTypes[0] })) : stamped;
+}
+
+/**
+ * @param {{incremental?: boolean}} options with `incremental`, a PDF is
+ * written by an incremental update (see ./pdf)
+ * @returns {Promise<import('./formats').Format | undefined>} the format of
+ * `path` when it reads / writes the stamp in JS, undefined when exiftool does
+ */
+const jsStampFormat = async (path, { incremental = false } = {}) => {
+  const format = await detectFormatFile(path);
+  if (incremental && format && format.name === incrementalPdfFormat.name) {
+    return incrementalPdfFormat;
+  }
+  return format && format.writeStamp ? format : undefined;
+}
+
+/**
+ * Write the stamp into a copy of `input` at `output`. The input is never modified.
+ *
+ * Only `signature` is required, fields that are not given are not written.
+ * `signedAt` is an ISO 8601 string
+ *
+ * With `deterministic` (the default), the trailer /ID of a PDF is pinned to the
+ * input's, so the same input and stamp always give the same bytes (see ./pdf)
+ *
+ * `exiftool` defaults to the library's instance, pass another one (e.g. from
+ * createExifTool with more `maxProcs`) to run on its process pool
+ *
+ * `policy` says what to do when `input` is already stamped (see STAMP_POLICY,
+ * the default overwrites). Every other tag of `input` (EXIF, IPTC, rights...)
+ * is kept as is, see diffTags to check it
+ *
+ * With `c2pa`, the stamp is also embedded as a C2PA-style manifest (JPEG and
+ * PNG only, see ./c2pa)
+ *
+ * With `incremental`, a PDF is stamped in JS by an incremental update that
+ * leaves every byte of `input` as it is (see ./pdf): the stamp records them
+ * as its `byteRange`, unless given
+ *
+ * NOTE: exiftool refuses to write to an existing output file
+ *
+ * @typedef {{id: string, signature: string, algorithm?: string, keyId?: string, signedAt?: string, digest?: string, byteRange?: string, history?: Stamp[]}} Stamp
+ * @returns {Promise<Stamp>} the stamp that was written, without its history
+ */
+const stampFile = async (input, output, { id = uuid.v4(), ...fields } = {}, {
+  deterministic = true,
+  policy = STAMP_POLICY.OVERWRITE,
+  c2pa = false,
+  incremental = false,
+  exiftool: et = exiftool,
+} = {}) => {
+  if (!fields.signature) {
+    throw new Error('A signature is required to stamp a file');
+  }
+
+  const stamp = { id, ...fields };
+
+  const format = await jsStampFormat(input, { incremental });
+  if (format || c2pa) {
+    const buffer = await fs.readFile(input);
+    const written = format === incrementalPdfFormat ? { ...stamp, byteRange: stamp.byteRange || incrementalByteRange(buffer) } : stamp;
+    // Like exiftool: an existing output is refused
+    await fs.writeFile(output, await writeStampBuffer(buffer, c2pa ? c2paFormat(buffer) : format, input, written, { policy, c2pa }), { flag: 'wx' });
+    return written;
+  }
+
+  await ensureStampTags(et);
+  const tags = await et.read(input);
+  const existing = stampFromTags(tags);
+  const snapshot = deterministic ? await snapshotTrailerId(input) : undefined;
+
+  await et.write(input, {
+    ...stampToTags(resolveStamp(input, existing, stamp, policy), existing),
+    // exiftool-vendored sets the IPTC character set, which adds IPTC to a
+    // file without, and exiftool names itself as the xmp toolkit: both are
+    // put back as they were
+    CodedCharacterSet: tags.CodedCharacterSet === undefined ? null : tags.CodedCharacterSet,
+    XMPToolkit: tags.XMPToolkit === undefined ? null : tags.XMPToolkit,
+  }, [...defaultAdditionalWriteArgs, "-o", output]);
+
+  await restoreTrailerId(output, snapshot);
+
+  return stamp;
+}
+
+/**
+ * Write the stamp to the sidecar `<input>.xmp`, leaving `input` untouched.
+ * Only `signature` is required, as for stampFile
+ *
+ * @returns {Promise<Stamp>} the stamp that was written
+ */
+const stampSidecar = async (input, { id = uuid.v4(), ...fields } = {}) => {
+  if (!fields.signature) {
+    throw new Error('A signature is required to stamp a file');
+  }
+
+  const stamp = { id, ...fields };
+  await writeSidecar(input, stamp);
+  return stamp;
+}
+
+/**
+ * @returns {Promise<Stamp | undefined>} the stamp embedded in `path`, read by
+ * the format itself or exiftool (which also reads a sidecar .xmp)
+ */
+const readEmbeddedStamp = async (path, et) => {
+  const format = await jsStampFormat(path);
+  if (format) {
+    return format.readStamp(await fs.readFile(path));
+  }
+
+  await ensureStampTags(et);
+  return stampFromTags(await et.read(path));
+}
+
+/**
+ * @returns {Promise<{stamp: Stamp, sidecar: boolean} | undefined>} the stamp
+ * of `path` and whether it came from the sidecar, undefined if not stamped
+ */
+const locateStamp = async (path, { exiftool: et = exiftool } = {}) => {
+  const embedded = await readEmbeddedStamp(path, et);
+  if (embedded) {
+    return { stamp: embedded, sidecar: false };
+  }
+
+  const sidecar = await hasSidecar(path) ? await readEmbeddedStamp(sidecarPath(path), et) : undefined;
+  return sidecar ? { stamp: sidecar, sidecar: true } : undefined;
+}
+
+/**
+ * @returns {Promise<Stamp | undefined>} the embedded stamp, else the sidecar's,
+ * undefined if the file is not stamped
+ */
+const readStamp = async (path, options = {}) => {
+  const located = await locateStamp(path, options);
+  return located && located.stamp;
+}
+
+/**
+ * Strip all metadata (the stamp included) from `path` in place, the same way
+ * exiftool.deleteAllTags does, but without leaving an `_original` backup behind.
+ * Formats that keep the stamp out of their xmp (SVG, OOXML, ODF) only have the
+ * stamp removed.
+ *
+ * With `deterministic` (the default), the trailer /ID of a PDF is kept, so
+ * clearing a stamped copy gives the same bytes as clearing the original
+ *
+ * With `sidecar`, only the sidecar is removed and `path` is left untouched
+ */
+const clearStamp = async (path, { deterministic = true, sidecar = false, exiftool: et = exiftool } = {}) => {
+  if (sidecar) {
+    await removeSidecar(path);
+    return;
+  }
+
+  const format = await detectFormatFile(path);
+  if (format && format.embedding !== 'xmp') {
+    await fs.writeFile(path, await format.clearStamp(await fs.readFile(path)));
+    return;
+  }
+
+  const snapshot = deterministic ? await snapshotTrailerId(path) : undefined;
+
+  try {
+    await et.write(path, {}, ["-all=", "-overwrite_original"]);
+  } catch (e) {
+    // Nothing to strip: exiftool leaves the file as is and reports no update
+    if (!/\b1 image files unchanged\b/.test(e.message)) {
+      throw e;
+    }
+  }
+
+  await restoreTrailerId(path, snapshot);
+}
+
+/**
+ * @returns {Promise<Buffer>} the bytes of `path` without its embedded stamp
+ */
+const unstampedBytes = async (path, { checksum, deterministic, exiftool: et }) => {
+  const buffer = await fs.readFile(path);
+  const format = detectFormat(buffer);
+
+  // Only when the checksum proves nothing else was dropped with the stamp
+  const reverted = checksum && format && format.name === 'pdf' ? revertStampUpdates(buffer) : undefined;
+  if (reverted && generateChecksum(reverted) === checksum) {
+    return reverted;
+  }
+
+  if (format && format.clearStamp) {
+    return format.clearStamp(removeC2paManifest(buffer));
+  }
+
+  // On a copy next to `path`: writing over `path` would leave an `_original` backup
+  const { dir, name, ext } = nodePath.parse(path);
+  const copy = nodePath.join(dir, `.${name}.unstamp-${uuid.v4()}${ext}`);
+  const snapshot = deterministic ? await snapshotTrailerId(path) : undefined;
+
+  try {
+    await fs.writeFile(copy, buffer, { flag: 'wx' });
+    await ensureStampTags(et);
+    try {
+      await et.write(copy, {}, [`-XMP-${NAMESPACE.prefix}:all=`, '-overwrite_original']);
+    } catch (e) {
+      if (!/\b1 image files unchanged\b/.test(e.message)) {
+        throw e;
+      }
+    }
+    await restoreTrailerId(copy, snapshot);
+
+    const unstamped = await fs.readFile(copy);
+    if (unstamped.equals(buffer)) {
+      throw new Error(`exiftool could not remove the stamp of ${path}`);
+    }
+    return unstamped;
+  } finally {
+    await fs.rm(copy, { force: true });
+  }
+}
+
+/**
+ * Remove only the stamp from `path`, in place: every other tag is kept and no
+ * `_original` backup is left behind. A sidecar stamp is removed with its sidecar.
+ *
+ * JPEG and PNG stamped in JS, SVG and sidecar stamps get back the very bytes
+ * they had before stamping. With the `checksum` of the file before stamping
+ * (see ./checksum), the file is only written if unstamping gives it back,
+ * otherwise it throws and `path` is left untouched. A PDF gets back its bytes
+ * by dropping the incremental update of the stamp, only when the checksum
+ * proves nothing else was in it
+ *
+ * With `deterministic` (the default), the trailer /ID of a PDF is kept, as for clearStamp
+ *
+ * @returns {Promise<boolean>} false if `path` was not stamped
+ */
+const unstamp = async (path, { checksum, deterministic = true, exiftool: et = exiftool } = {}) => {
+  const located = await locateStamp(path, { exiftool: et });
+  if (!located) {
+    return false;
+  }
+
+  const restored = located.sidecar ? await fs.readFile(path) : await unstampedBytes(path, { checksum, deterministic, exiftool: et });
+  if (checksum && generateChecksum(restored) !== checksum) {
+    throw new Error(`Unstamping ${path} doesn't give back the bytes it had before stamping`);
+  }
+
+  if (located.sidecar) {
+    await removeSidecar(path);
+  } else {
+    await fs.writeFile(path, restored);
+  }
+  return true;
+}
+
+module.exports = {
+  STAMP_TAGS,
+  STAMP_POLICY,
+  defaultAdditionalWriteArgs,
+  exiftool,
+  resolveStamp,
+  writeStampBuffer,
+  stampFile,
+  stampSidecar,
+  locateStamp,
+  readStamp,
+  clearStamp,
+  unstamp,
+};
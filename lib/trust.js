@@ -0,0 +1,76 @@
+/**
+ * Local trust anchors: the public keys a stamp (embedded, sidecar or C2PA-style
+ * manifest, see ./c2pa) is verified with, read from a directory of PEM files.
+ * Verifying against them needs no network, nor the signer's backend (e.g. KMS).
+ *
+ * An anchor is a verify-only signer (see ./signers), picked for a stamp by its
+ * key id: the key fingerprint, as local signers use by default.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+
+const { readC2paManifestFile, importC2paManifest } = require('./c2pa');
+const { contentDigestFile } = require('./digest');
+const { createLocalSigner } = require('./signers');
+const { checkStampSignature } = require('./signing');
+const { readStamp } = require('./stamp');
+
+// =============================================================================
+// Const
+// =============================================================================
+const ANCHOR_EXTENSION = '.pem';
+
+// =============================================================================
+// Functions
+// =============================================================================
+/**
+ * @param {string} dir the directory of the PEM public keys (`*.pem`)
+ * @param {{keyIds?: Object}} options file name => key id, for the keys whose
+ * stamps don't carry the fingerprint (e.g. a KMS key, stamped with its id)
+ * @returns {Promise<import('./signers').Signer[]>} the trust anchors, sorted by file name
+ */
+const loadTrustAnchors = async (dir, { keyIds = {} } = {}) => {
+  const files = (await fs.readdir(dir)).filter((file) => path.extname(file) === ANCHOR_EXTENSION).sort();
+
+  const anchors = [];
+  for (const file of files) {
+    anchors.push(createLocalSigner({ publicKey: await fs.readFile(path.join(dir, file)), keyId: keyIds[file] }));
+  }
+  return anchors;
+}
+
+/**
+ * Check the C2PA-style manifest embedded in `path` (see embedC2paManifest):
+ * its signature against `trustAnchors` (or its certificate against a
+ * `trustStore`, see ./x509), its digest against the file's content, and
+ * whether it is the same stamp as the xmp one (`matchesStamp`, false when the
+ * file has no xmp stamp)
+ *
+ * @param {{trustAnchors?: import('./signers').Signer[], trustStore?: {roots: import('crypto').X509Certificate[]}, exiftool?: import("exiftool-vendored").ExifTool}} options
+ * @returns {Promise<{present: boolean, id?: string, trusted: boolean, signatureValid: boolean, digestMatches: boolean, matchesStamp: boolean}>}
+ * `trusted` if an anchor has the manifest's key id, or its certificate is trusted
+ */
+const verifyC2paFile = async (path, { trustAnchors, trustStore, exiftool }) => {
+  const manifest = await readC2paManifestFile(path);
+  if (!manifest) {
+    return { present: false, trusted: false, signatureValid: false, digestMatches: false, matchesStamp: false };
+  }
+
+  const stamp = importC2paManifest(manifest);
+  const embedded = await readStamp(path, { exiftool });
+  const { signatureValid, certificate } = await checkStampSignature(stamp, { trustAnchors, trustStore });
+
+  return {
+    present: true,
+    id: stamp.id,
+    trusted: certificate ? certificate.trusted : trustAnchors.some(({ keyId }) => keyId === stamp.keyId),
+    signatureValid,
+    digestMatches: stamp.digest === await contentDigestFile(path),
+    matchesStamp: Boolean(embedded) && embedded.id === stamp.id && embedded.signature === stamp.signature,
+  };
+}
+
+module.exports = {
+  loadTrustAnchors,
+  verifyC2paFile,
+};
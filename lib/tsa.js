@@ -0,0 +1,423 @@
+/**
+ * RFC 3161 trusted timestamps of stamp signatures: once signed, the SHA-256
+ * of the signature is sent to a Time-Stamp Authority (TSA), whose token is
+ * stamped along (`timestamp`, see ./schema). The token proves the signature
+ * existed at its time, whatever becomes of the signer's key afterwards.
+ *
+ * A TSA takes a DER TimeStampReq and resolves with the DER TimeStampResp:
+ * createHttpTsa posts it to a TSA's URL, createLocalTsa is a stand-in signing
+ * with a local key, e.g. to test the flow offline.
+ *
+ * A token is verified against a trust store of the TSA's roots (see ./x509),
+ * at the time of the token.
+ */
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+const {
+  TAG,
+  CONTEXT,
+  readDer,
+  element,
+  sequence,
+  set,
+  integer,
+  oid,
+  octetString,
+  bitString,
+  boolean,
+  utf8String,
+  generalizedTime,
+  utcTime,
+  explicit,
+  decodeOid,
+  decodeInteger,
+  decodeTime,
+} = require('./der');
+const { extendedKeyUsage, parsePemCertificates, verifyCertificateChain } = require('./x509');
+
+// =============================================================================
+// Const
+// =============================================================================
+const OID = {
+  SIGNED_DATA: '1.2.840.113549.1.7.2',
+  TST_INFO: '1.2.840.113549.1.9.16.1.4',
+  CONTENT_TYPE: '1.2.840.113549.1.9.3',
+  MESSAGE_DIGEST: '1.2.840.113549.1.9.4',
+  SIGNING_CERTIFICATE_V2: '1.2.840.113549.1.9.16.2.47',
+  TIME_STAMPING: '1.3.6.1.5.5.7.3.8',
+  KEY_USAGE: '2.5.29.15',
+  EXTENDED_KEY_USAGE: '2.5.29.37',
+  COMMON_NAME: '2.5.4.3',
+  EC_PUBLIC_KEY: '1.2.840.10045.2.1',
+  RSA_ENCRYPTION: '1.2.840.113549.1.1.1',
+  // The policy of the local TSA's tokens
+  LOCAL_POLICY: '1.3.6.1.4.1.4146.2.3',
+};
+
+// Digest algorithm OID => node name
+const DIGESTS = {
+  '2.16.840.1.101.3.4.2.1': 'sha256',
+  '2.16.840.1.101.3.4.2.2': 'sha384',
+  '2.16.840.1.101.3.4.2.3': 'sha512',
+};
+
+// Signature algorithm OID => node digest name, the key telling RSA from ECDSA
+const SIGNATURE_ALGORITHMS = {
+  [OID.RSA_ENCRYPTION]: undefined,
+  [OID.EC_PUBLIC_KEY]: undefined,
+  '1.2.840.113549.1.1.11': 'sha256',
+  '1.2.840.113549.1.1.12': 'sha384',
+  '1.2.840.113549.1.1.13': 'sha512',
+  '1.2.840.10045.4.3.2': 'sha256',
+  '1.2.840.10045.4.3.3': 'sha384',
+  '1.2.840.10045.4.3.4': 'sha512',
+};
+
+const ECDSA_WITH_SHA256 = '1.2.840.10045.4.3.2';
+
+const IMPRINT_DIGEST = 'sha256';
+
+// PKIStatus: granted, grantedWithMods
+const GRANTED = [0, 1];
+
+const TIMESTAMP_QUERY = 'application/timestamp-query';
+
+const DEFAULT_TIMEOUT = 30 * 1000;
+
+const LOCAL_TSA_NAME = 'Local TSA';
+const LOCAL_CERTIFICATE_DAYS = 365;
+
+// =============================================================================
+// Functions
+// =============================================================================
+const digestOid = (name) => Object.keys(DIGESTS).find((key) => DIGESTS[key] === name);
+
+const algorithmIdentifier = (id) => sequence(oid(id));
+
+const messageImprint = (digest) => sequence(algorithmIdentifier(digestOid(IMPRINT_DIGEST)), octetString(digest));
+
+const commonName = (name) => sequence(set(sequence(oid(OID.COMMON_NAME), utf8String(name))));
+
+/**
+ * @returns {Object | undefined} the first of the DER `elements` of `tag`
+ */
+const find = (elements, tag) => elements.find((candidate) => candidate.tag === tag);
+
+/**
+ * @param {Buffer} signature the bytes of the stamp's signature
+ * @returns {{request: Buffer, nonce: bigint}} the DER TimeStampReq for
+ * `signature`, asking for the TSA's certificate in the token
+ */
+const timestampRequest = (signature) => {
+  const nonce = BigInt(`0x${crypto.randomBytes(8).toString('hex')}`);
+  const imprint = crypto.createHash(IMPRINT_DIGEST).update(signature).digest();
+  return { request: sequence(integer(1), messageImprint(imprint), integer(nonce), boolean(true)), nonce };
+}
+
+/**
+ * @returns {{digest: Buffer, nonce?: bigint}} the message imprint and nonce of a DER TimeStampReq
+ */
+const parseTimestampRequest = (request) => {
+  const [{ content }] = readDer(request);
+  const [, imprint, ...rest] = readDer(content);
+  const [, digest] = readDer(imprint.content);
+  const nonce = find(rest, TAG.INTEGER);
+  return { digest: digest.content, nonce: nonce && decodeInteger(nonce.content) };
+}
+
+/**
+ * @returns {Buffer} the DER token of a TimeStampResp
+ */
+const parseTimestampResponse = (response) => {
+  const [{ content }] = readDer(response);
+  const [status, token] = readDer(content);
+  const [code, ...info] = readDer(status.content);
+  const value = Number(decodeInteger(code.content));
+  if (!GRANTED.includes(value) || !token) {
+    const text = find(info, TAG.SEQUENCE);
+    const reason = text ? `: ${readDer(text.content).map(({ content: string }) => string.toString('utf8')).join(', ')}` : '';
+    throw new Error(`The TSA refused the request (status ${value}${reason})`);
+  }
+  return token.raw;
+}
+
+/**
+ * @returns {{tstInfo: Buffer, genTime: Date, digest: Buffer, nonce?: bigint,
+ * certificates: crypto.X509Certificate[], signerInfo: Object}} the parts of a
+ * DER token (a CMS SignedData of a TSTInfo) that verifyTimestampToken checks
+ */
+const parseTimestampToken = (token) => {
+  const [{ content: contentInfo }] = readDer(token);
+  const [contentType, wrapped] = readDer(contentInfo);
+  if (decodeOid(contentType.content) !== OID.SIGNED_DATA) {
+    throw new Error('Invalid time-stamp token: not a signed data');
+  }
+
+  const [{ content: signedData }] = readDer(wrapped.content);
+  const [, , encapsulated, ...rest] = readDer(signedData);
+  const [eContentType, eContent] = readDer(encapsulated.content);
+  if (decodeOid(eContentType.content) !== OID.TST_INFO) {
+    throw new Error('Invalid time-stamp token: no TSTInfo');
+  }
+  const [{ content: tstInfo }] = readDer(eContent.content);
+
+  const [, , imprint, , genTime, ...optional] = readDer(readDer(tstInfo)[0].content);
+  const [, digest] = readDer(imprint.content);
+  const nonce = find(optional, TAG.INTEGER);
+
+  // certificates [0] IMPLICIT, then signerInfos
+  const certificates = find(rest, CONTEXT);
+  const signerInfos = rest[rest.length - 1];
+  const [version, sid, digestAlgorithm, signedAttrs, signatureAlgorithm, signature] = readDer(readDer(signerInfos.content)[0].content);
+
+  return {
+    tstInfo,
+    genTime: decodeTime(genTime),
+    digest: digest.content,
+    nonce: nonce && decodeInteger(nonce.content),
+    certificates: certificates ? readDer(certificates.content).map(({ raw }) => new crypto.X509Certificate(raw)) : [],
+    signerInfo: {
+      // v1: issuer and serial number, v3: subject key identifier
+      serialNumber: decodeInteger(version.content) === 1n ? decodeInteger(readDer(sid.content)[1].content) : undefined,
+      digest: DIGESTS[decodeOid(readDer(digestAlgorithm.content)[0].content)],
+      signedAttrs,
+      signatureAlgorithm: decodeOid(readDer(signatureAlgorithm.content)[0].content),
+      signature: signature.content,
+    },
+  };
+}
+
+/**
+ * @returns {Buffer | undefined} the value of the signed attribute `id`
+ */
+const signedAttribute = (signedAttrs, id) => {
+  const attribute = readDer(signedAttrs.content)
+    .map(({ content }) => readDer(content))
+    .find(([type]) => decodeOid(type.content) === id);
+  return attribute && readDer(attribute[1].content)[0];
+}
+
+/**
+ * @returns {string | undefined} why the CMS signature of a parsed token doesn't verify with `certificate`
+ */
+const signatureError = ({ tstInfo, signerInfo }, certificate) => {
+  const { digest, signedAttrs, signatureAlgorithm, signature } = signerInfo;
+  if (!digest || !(signatureAlgorithm in SIGNATURE_ALGORITHMS)) {
+    return 'Unsupported time-stamp token algorithm';
+  }
+
+  const contentType = signedAttribute(signedAttrs, OID.CONTENT_TYPE);
+  const messageDigest = signedAttribute(signedAttrs, OID.MESSAGE_DIGEST);
+  if (!contentType || decodeOid(contentType.content) !== OID.TST_INFO
+    || !messageDigest || !messageDigest.content.equals(crypto.createHash(digest).update(tstInfo).digest())) {
+    return 'The time-stamp token does not sign its TSTInfo';
+  }
+
+  // The signed attributes are signed as a SET OF, not with their [0] IMPLICIT tag
+  const signed = Buffer.concat([Buffer.from([TAG.SET]), signedAttrs.raw.slice(1)]);
+  const valid = crypto.verify(SIGNATURE_ALGORITHMS[signatureAlgorithm] || digest, signed, certificate.publicKey, signature);
+  return valid ? undefined : 'The time-stamp token signature is invalid';
+}
+
+/**
+ * Check a DER token: it is for `signature`, signed by its TSA's certificate,
+ * allowed to time-stamp and trusted by `trustStore` at the token's time
+ *
+ * @param {Buffer} token
+ * @param {Buffer} signature the bytes that were time-stamped
+ * @param {{roots: crypto.X509Certificate[]}} trustStore the TSA roots, see ./x509
+ * @returns {{valid: boolean, time?: string, error?: string}} the ISO time of
+ * the token when it parses, why it isn't valid if it isn't
+ */
+const verifyTimestampToken = (token, signature, trustStore) => {
+  let parsed;
+  try {
+    parsed = parseTimestampToken(token);
+  } catch (e) {
+    return { valid: false, error: e.message };
+  }
+  const time = parsed.genTime.toISOString();
+  const invalid = (error) => ({ valid: false, time, error });
+
+  if (!parsed.digest.equals(crypto.createHash(IMPRINT_DIGEST).update(signature).digest())) {
+    return invalid('The time-stamp token is for another signature');
+  }
+
+  const [first] = parsed.certificates;
+  const certificate = parsed.signerInfo.serialNumber === undefined
+    ? first
+    : parsed.certificates.find(({ serialNumber }) => BigInt(`0x${serialNumber}`) === parsed.signerInfo.serialNumber);
+  if (!certificate) {
+    return invalid('The time-stamp token carries no TSA certificate');
+  }
+  const error = signatureError(parsed, certificate);
+  if (error) {
+    return invalid(error);
+  }
+
+  const usages = extendedKeyUsage(certificate);
+  if (!usages || !usages.includes(OID.TIME_STAMPING)) {
+    return invalid(`${certificate.subject} is not allowed to time-stamp`);
+  }
+  const others = parsed.certificates.filter((candidate) => candidate !== certificate);
+  const chain = verifyCertificateChain([certificate, ...others], trustStore, { at: parsed.genTime });
+  return chain.trusted ? { valid: true, time } : invalid(chain.error);
+}
+
+/**
+ * @typedef {Object} Tsa
+ * @property {(request: Buffer) => Promise<Buffer>} timestamp resolves with the
+ * DER TimeStampResp to a DER TimeStampReq
+ */
+
+/**
+ * Time-stamp `signature` (base64, as stamped) with `tsa`
+ *
+ * @param {Tsa} tsa
+ * @returns {Promise<string>} the base64 DER token, as stamped
+ */
+const requestTimestamp = async (tsa, signature) => {
+  const bytes = Buffer.from(signature, 'base64');
+  const { request, nonce } = timestampRequest(bytes);
+  const token = parseTimestampResponse(await tsa.timestamp(request));
+
+  const parsed = parseTimestampToken(token);
+  if (!parsed.digest.equals(crypto.createHash(IMPRINT_DIGEST).update(bytes).digest()) || parsed.nonce !== nonce) {
+    throw new Error('The TSA answered another request');
+  }
+  return token.toString('base64');
+}
+
+/**
+ * @param {{url: string, timeout?: number}} options the TSA's URL, the time to
+ * wait for its answer in ms
+ * @returns {Tsa} the TSA at `url`, over HTTP(S) (RFC 3161 3.4)
+ */
+const createHttpTsa = ({ url, timeout = DEFAULT_TIMEOUT }) => {
+  const timestamp = (request) => new Promise((resolve, reject) => {
+    const req = (url.startsWith('https:') ? https : http).request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': TIMESTAMP_QUERY, 'Content-Length': request.length },
+      timeout,
+    }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        if (res.statusCode !== 200) {
+          reject(new Error(`The TSA answered HTTP ${res.statusCode}`));
+        } else {
+          resolve(Buffer.concat(chunks));
+        }
+      });
+      res.on('error', reject);
+    });
+    req.on('timeout', () => req.destroy(new Error(`The TSA did not answer within ${timeout} ms`)));
+    req.on('error', reject);
+    req.end(request);
+  });
+
+  return { url, timestamp };
+}
+
+/**
+ * @returns {string} a PEM self-signed time-stamping certificate of the EC `privateKey`
+ */
+const selfSignedTsaCertificate = (privateKey) => {
+  const now = new Date();
+  const name = commonName(LOCAL_TSA_NAME);
+  const extensions = [
+    // keyUsage digitalSignature (a BIT STRING with 7 unused bits), critical
+    sequence(oid(OID.KEY_USAGE), boolean(true), octetString(element(TAG.BIT_STRING, Buffer.from([7, 0x80])))),
+    // extendedKeyUsage timeStamping only, critical (RFC 3161 2.3)
+    sequence(oid(OID.EXTENDED_KEY_USAGE), boolean(true), octetString(sequence(oid(OID.TIME_STAMPING)))),
+  ];
+  const tbs = sequence(
+    explicit(0, integer(2)),
+    integer(crypto.randomBytes(8)),
+    algorithmIdentifier(ECDSA_WITH_SHA256),
+    name,
+    sequence(utcTime(now), utcTime(new Date(now.getTime() + LOCAL_CERTIFICATE_DAYS * 86400 * 1000))),
+    name,
+    crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' }),
+    explicit(3, sequence(...extensions)),
+  );
+  const der = sequence(tbs, algorithmIdentifier(ECDSA_WITH_SHA256), bitString(crypto.sign('sha256', tbs, privateKey)));
+  return `-----BEGIN CERTIFICATE-----\n${der.toString('base64').match(/.{1,64}/g).join('\n')}\n-----END CERTIFICATE-----\n`;
+}
+
+/**
+ * A TSA signing with a local key, to time-stamp without a TSA at hand (e.g.
+ * in tests). Its tokens are as a TSA's, signed with ECDSA / SHA-256
+ *
+ * @param {{privateKey?: string | Buffer | crypto.KeyObject, certificate?: string | Buffer}} options
+ * the PEM EC key and its time-stamping certificate chain, its own first. Without
+ * them, a fresh P-256 key and its self-signed "CN=Local TSA" certificate
+ * @returns {Tsa & {certificate: string}} the PEM certificate chain, e.g. for a trust store
+ */
+const createLocalTsa = ({ privateKey, certificate } = {}) => {
+  const key = privateKey ? crypto.createPrivateKey(privateKey) : crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey;
+  const pem = certificate ? String(certificate) : selfSignedTsaCertificate(key);
+  const certificates = parsePemCertificates(pem);
+  if (certificates.length === 0) {
+    throw new Error('No PEM certificate found');
+  }
+  const [own] = certificates;
+  if (!own.checkPrivateKey(key)) {
+    throw new Error('The certificate is not the one of the key');
+  }
+  let serialNumber = 0n;
+
+  const timestamp = async (request) => {
+    const { digest, nonce } = parseTimestampRequest(request);
+    serialNumber += 1n;
+
+    const sha256 = algorithmIdentifier(digestOid('sha256'));
+    const tstInfo = sequence(
+      integer(1),
+      oid(OID.LOCAL_POLICY),
+      messageImprint(digest),
+      integer(serialNumber),
+      generalizedTime(new Date()),
+      ...(nonce !== undefined ? [integer(nonce)] : []),
+    );
+    const attributes = [
+      sequence(oid(OID.CONTENT_TYPE), set(oid(OID.TST_INFO))),
+      sequence(oid(OID.MESSAGE_DIGEST), set(octetString(crypto.createHash('sha256').update(tstInfo).digest()))),
+      // certs: the ESSCertIDv2 (SHA-256 by default) of the TSA's certificate
+      sequence(oid(OID.SIGNING_CERTIFICATE_V2), set(sequence(sequence(sequence(octetString(crypto.createHash('sha256').update(own.raw).digest())))))),
+    ];
+    const signedAttrs = set(...attributes);
+    // sid: the issuer (4th field of the TBSCertificate) and serial number of the certificate
+    const issuer = readDer(readDer(readDer(own.raw)[0].content)[0].content)[3];
+    const signerInfo = sequence(
+      integer(1),
+      sequence(issuer.raw, integer(Buffer.from(own.serialNumber, 'hex'))),
+      sha256,
+      element(CONTEXT, readDer(signedAttrs)[0].content),
+      algorithmIdentifier(ECDSA_WITH_SHA256),
+      octetString(crypto.sign('sha256', signedAttrs, key)),
+    );
+    const signedData = sequence(
+      integer(3),
+      set(sha256),
+      sequence(oid(OID.TST_INFO), explicit(0, octetString(tstInfo))),
+      element(CONTEXT, Buffer.concat(certificates.map(({ raw }) => raw))),
+      set(signerInfo),
+    );
+    const token = sequence(oid(OID.SIGNED_DATA), explicit(0, signedData));
+    return sequence(sequence(integer(0)), token);
+  };
+
+  return { certificate: pem, timestamp };
+}
+
+module.exports = {
+  timestampRequest,
+  parseTimestampResponse,
+  verifyTimestampToken,
+  requestTimestamp,
+  createHttpTsa,
+  createLocalTsa,
+};
@@ -0,0 +1,208 @@
+/**
+ * X.509 certificates of a signer and the trust store they are checked against,
+ * so that anyone can verify a stamp offline, without the signer's backend (e.g.
+ * KMS): the stamp carries the signer's certificate chain (`certificate`, see
+ * ./schema), which has to lead to a root of the trust store.
+ *
+ * The trust store is a directory of PEM root certificates. A chain is checked
+ * now, or at the proven time the stamp was signed (its time-stamp token's, see
+ * ./tsa), never the time it claims: each certificate has to be valid then,
+ * every issuer has to be a CA allowed to sign certificates, and the signer's
+ * certificate allowed to sign (key usage `digitalSignature`).
+ */
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const { TAG, CONTEXT, readDer, decodeOid } = require('./der');
+
+// =============================================================================
+// Const
+// =============================================================================
+const TRUST_STORE_EXTENSION = '.pem';
+
+const PEM_CERTIFICATE_RE = /-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g;
+
+// The certificates of a stamp's chain, base64 DER, are joined with
+const CHAIN_SEPARATOR = ',';
+
+// Key usage bits (RFC 5280 4.2.1.3), in order
+const KEY_USAGES = [
+  'digitalSignature',
+  'nonRepudiation',
+  'keyEncipherment',
+  'dataEncipherment',
+  'keyAgreement',
+  'keyCertSign',
+  'cRLSign',
+  'encipherOnly',
+  'decipherOnly',
+];
+
+const EXTENSION_OID = {
+  KEY_USAGE: '2.5.29.15',
+  EXTENDED_KEY_USAGE: '2.5.29.37',
+};
+
+// =============================================================================
+// Functions
+// =============================================================================
+/**
+ * @returns {Buffer | undefined} the value (extnValue) of the extension `oid` of `certificate`
+ */
+const extensionValue = (certificate, oid) => {
+  const [{ content: cert }] = readDer(certificate.raw);
+  const [{ content: tbs }] = readDer(cert);
+  // extensions [3] EXPLICIT
+  const extensions = readDer(tbs).find(({ tag }) => tag === (CONTEXT | 3));
+  if (!extensions) {
+    return undefined;
+  }
+
+  const [{ content: list }] = readDer(extensions.content);
+  const extension = readDer(list)
+    .map(({ content }) => readDer(content))
+    .find(([id]) => id.tag === TAG.OID && decodeOid(id.content) === oid);
+  // extnValue: an OCTET STRING around the value
+  return extension && readDer(extension[extension.length - 1].content)[0].content;
+}
+
+/**
+ * @param {crypto.X509Certificate} certificate
+ * @returns {string[] | undefined} the key usages of `certificate` (see
+ * KEY_USAGES), undefined when it has no key usage extension (any usage)
+ */
+const keyUsage = (certificate) => {
+  const bits = extensionValue(certificate, EXTENSION_OID.KEY_USAGE);
+  // A BIT STRING, whose first byte is the unused bit count
+  return bits && KEY_USAGES.filter((usage, i) => bits.length > 1 + (i >> 3) && bits[1 + (i >> 3)] & (0x80 >> (i % 8)));
+}
+
+/**
+ * @returns {string[] | undefined} the extended key usage OIDs of
+ * `certificate`, e.g. `1.3.6.1.5.5.7.3.8` (time stamping), undefined when it
+ * has no extended key usage extension
+ */
+const extendedKeyUsage = (certificate) => {
+  const usages = extensionValue(certificate, EXTENSION_OID.EXTENDED_KEY_USAGE);
+  return usages && readDer(usages).map(({ content }) => decodeOid(content));
+}
+
+/**
+ * @param {string | Buffer} pem one or more PEM certificates
+ * @returns {crypto.X509Certificate[]} in the order of `pem`
+ */
+const parsePemCertificates = (pem) => (String(pem).match(PEM_CERTIFICATE_RE) || []).map((block) => new crypto.X509Certificate(block));
+
+/**
+ * @param {string | Buffer} pem the signer's certificate first, then the
+ * intermediate certificates up to (not including) a root
+ * @returns {string} the chain as stamped: base64 DER certificates, comma separated
+ */
+const encodeCertificateChain = (pem) => {
+  const certificates = parsePemCertificates(pem);
+  if (certificates.length === 0) {
+    throw new Error('No PEM certificate found');
+  }
+  return certificates.map(({ raw }) => raw.toString('base64')).join(CHAIN_SEPARATOR);
+}
+
+/**
+ * @returns {crypto.X509Certificate[]} the chain of a stamp's `certificate`, the signer's first
+ */
+const decodeCertificateChain = (chain) => chain.split(CHAIN_SEPARATOR).map((der) => new crypto.X509Certificate(Buffer.from(der, 'base64')));
+
+/**
+ * @param {string} dir the directory of the PEM root certificates (`*.pem`,
+ * each may hold several)
+ * @returns {Promise<{roots: crypto.X509Certificate[]}>} the trust store
+ */
+const loadTrustStore = async (dir) => {
+  const files = (await fs.readdir(dir)).filter((file) => path.extname(file) === TRUST_STORE_EXTENSION).sort();
+
+  const roots = [];
+  for (const file of files) {
+    roots.push(...parsePemCertificates(await fs.readFile(path.join(dir, file))));
+  }
+  return { roots };
+}
+
+/**
+ * @returns {string | undefined} why `certificate` can't be part of a chain checked at `at`
+ */
+const validityError = (certificate, at) => {
+  if (at < new Date(certificate.validFrom)) {
+    return `${certificate.subject} is not valid yet`;
+  }
+  if (at > new Date(certificate.validTo)) {
+    return `${certificate.subject} is expired`;
+  }
+  return undefined;
+}
+
+/**
+ * @returns {string | undefined} why `issuer` can't issue certificates
+ */
+const issuerError = (issuer) => {
+  const usages = keyUsage(issuer);
+  if (!issuer.ca) {
+    return `${issuer.subject} is not a CA`;
+  }
+  if (usages && !usages.includes('keyCertSign')) {
+    return `${issuer.subject} is not allowed to sign certificates`;
+  }
+  return undefined;
+}
+
+/**
+ * Build the chain from the signer's certificate to a root of `trustStore`,
+ * through the intermediate certificates given, and check it
+ *
+ * @param {crypto.X509Certificate[]} certificates the signer's first
+ * @param {{roots: crypto.X509Certificate[]}} trustStore see loadTrustStore
+ * @param {{at?: Date}} options when the chain has to be valid (default: now)
+ * @returns {{trusted: boolean, error?: string}} why the chain isn't trusted, if it isn't
+ */
+const verifyCertificateChain = (certificates, { roots }, { at = new Date() } = {}) => {
+  const [signer, ...intermediates] = certificates;
+  const usages = keyUsage(signer);
+  if (usages && !usages.includes('digitalSignature')) {
+    return { trusted: false, error: `${signer.subject} is not allowed to sign` };
+  }
+
+  // Each certificate at most once, so a self-signed one given as intermediate ends the chain
+  const chain = [signer];
+  for (let current = signer; ; current = chain[chain.length - 1]) {
+    const error = validityError(current, at);
+    if (error) {
+      return { trusted: false, error };
+    }
+    if (roots.some((root) => root.fingerprint256 === current.fingerprint256)) {
+      return { trusted: true };
+    }
+
+    const issuer = [...roots, ...intermediates]
+      .filter((candidate) => !chain.some(({ fingerprint256 }) => fingerprint256 === candidate.fingerprint256))
+      // By name and signature: checkIssued would also leave out the issuers that are not CAs, without telling
+      .find((candidate) => current.issuer === candidate.subject && current.verify(candidate.publicKey));
+    if (!issuer) {
+      return { trusted: false, error: `No trusted issuer for ${current.subject}` };
+    }
+    const notIssuer = issuerError(issuer);
+    if (notIssuer) {
+      return { trusted: false, error: notIssuer };
+    }
+    chain.push(issuer);
+  }
+}
+
+module.exports = {
+  KEY_USAGES,
+  keyUsage,
+  extendedKeyUsage,
+  parsePemCertificates,
+  encodeCertificateChain,
+  decodeCertificateChain,
+  loadTrustStore,
+  verifyCertificateChain,
+};
@@ -0,0 +1,252 @@
+/**
+ * The stamp as an xmp packet, read and written in JS: standalone for the
+ * formats exiftool can't write and sidecars, and inside the packet of the
+ * formats that can be edited without exiftool (see lib/formats). Same
+ * namespace and properties as the tags exiftool writes (see ./schema), so any
+ * xmp reader sees the same stamp.
+ *
+ * Packets are written the way exiftool writes them with `Compact=Shorthand`
+ * (one rdf:Description per namespace, properties as single quoted attributes
+ * in alphabetical order, same padding), only without the `x:xmptk` attribute
+ * naming the tool, so both give the same bytes.
+ */
+const { NAMESPACE, STAMP_SCHEMA, STAMP_HISTORY } = require('./schema');
+
+// =============================================================================
+// Const
+// =============================================================================
+const RDF_NS = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
+
+// Lines of spaces exiftool leaves after the packet of a writable file, for
+// editing it in place
+const PADDING_LINE = `${' '.repeat(100)}\n`;
+
+const XML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+const XML_UNESCAPES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+};
+
+// =============================================================================
+// Functions
+// =============================================================================
+const escapeXml = (value) => String(value).replace(/[&<>"']/g, (c) => XML_ESCAPES[c]);
+
+const unescapeXml = (value) => value.replace(/&(?:#x([0-9a-f]+)|#(\d+)|(\w+));/gi, (entity, hex, dec, name) => {
+  if (hex) {
+    return String.fromCodePoint(parseInt(hex, 16));
+  }
+  if (dec) {
+    return String.fromCodePoint(parseInt(dec, 10));
+  }
+  return XML_UNESCAPES[name] || entity;
+});
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * @returns {string} the stamp fields as attributes, one per line after `indent`
+ */
+const stampAttributes = (stamp, indent) => {
+  return Object.entries(STAMP_SCHEMA)
+    .filter(([field]) => stamp[field] !== undefined)
+    .map(([field, { property }]) => [property, escapeXml(stamp[field])])
+    .sort(([a], [b]) => (a < b ? -1 : 1))
+    .map(([property, value]) => `\n${indent}${NAMESPACE.prefix}:${property}='${value}'`)
+    .join('');
+}
+
+/**
+ * @returns {string} one rdf:Description holding the stamp fields as attributes,
+ * and its history as an rdf:Seq of one rdf:li per earlier stamp
+ */
+const stampDescription = (stamp) => {
+  const prefix = NAMESPACE.prefix;
+  const description = ` <rdf:Description rdf:about=''\n  xmlns:${prefix}='${NAMESPACE.uri}'${stampAttributes(stamp, '  ')}`;
+  if (!stamp.history || stamp.history.length === 0) {
+    return `${description}/>`;
+  }
+
+  const items = stamp.history.map((entry) => `    <rdf:li${stampAttributes(entry, '     ')}/>\n`);
+  return [
+    `${description}>\n`,
+    `  <${prefix}:${STAMP_HISTORY.property}>\n`,
+    '   <rdf:Seq>\n',
+    ...items,
+    '   </rdf:Seq>\n',
+    `  </${prefix}:${STAMP_HISTORY.property}>\n`,
+    ' </rdf:Description>',
+  ].join('');
+}
+
+/**
+ * @param {import('./stamp').Stamp} stamp
+ * @param {{padding?: number, writable?: boolean}} options `padding` lines of
+ * 100 spaces before the end of the packet, `writable` marks it as editable in
+ * place (`end='w'`)
+ * @returns {string} an xmp packet holding only the stamp
+ */
+const serializeStampXmp = (stamp, { padding = 0, writable = true } = {}) => {
+  return [
+    "<?xpacket begin='\uFEFF' id='W5M0MpCehiHzreSzNTczkc9d'?>\n",
+    "<x:xmpmeta xmlns:x='adobe:ns:meta/'>\n",
+    `<rdf:RDF xmlns:rdf='${RDF_NS}'>\n\n`,
+    `${stampDescription(stamp)}\n`,
+    '</rdf:RDF>\n',
+    '</x:xmpmeta>\n',
+    PADDING_LINE.repeat(padding),
+    `<?xpacket end='${writable ? 'w' : 'r'}'?>`,
+  ].join('');
+}
+
+/**
+ * @returns {string | undefined} the prefix the packet binds our namespace to,
+ * usually `xmpStamp`
+ */
+const stampPrefix = (xml) => {
+  const binding = new RegExp(`xmlns:([\\w.-]+)\\s*=\\s*(["'])${escapeRegExp(NAMESPACE.uri)}\\2`).exec(xml);
+  return binding ? binding[1] : undefined;
+}
+
+/**
+ * Regexps matching a property written as an attribute (`prefix:name="value"`)
+ * or as an element (`<prefix:name>value</prefix:name>`), the value in group 2
+ */
+const propertyPatterns = (prefix, property) => [
+  new RegExp(`\\s${prefix}:${property}\\s*=\\s*(["'])([\\s\\S]*?)\\1`),
+  new RegExp(`\\s*<${prefix}:${property}(\\s[^>]*)?>([\\s\\S]*?)</${prefix}:${property}>`),
+];
+
+/**
+ * Regexp matching the history property, empty or holding its rdf:Seq
+ */
+const historyPattern = (prefix) => {
+  const name = `${prefix}:${STAMP_HISTORY.property}`;
+  return new RegExp(`\\s*<${name}(?:\\s[^>]*)?(?:/>|>([\\s\\S]*?)</${name}>)`);
+}
+
+/**
+ * @returns {Object} the stamp fields found in `xml`
+ */
+const parseStampFields = (xml, prefix) => {
+  const fields = {};
+  Object.entries(STAMP_SCHEMA).forEach(([field, { property }]) => {
+    const match = propertyPatterns(prefix, property).map((pattern) => pattern.exec(xml)).find(Boolean);
+    if (match) {
+      fields[field] = unescapeXml(match[2]);
+    }
+  });
+  return fields;
+}
+
+/**
+ * Read the stamp from an xmp packet, whoever wrote it: attributes or
+ * elements, either quote, any prefix bound to our namespace. Its `history`,
+ * if any, is read the same way from each rdf:li
+ *
+ * @returns {import('./stamp').Stamp | undefined} undefined without stamp fields
+ */
+const parseStampXmp = (xml) => {
+  const prefix = stampPrefix(xml);
+  if (!prefix) {
+    return undefined;
+  }
+
+  const history = historyPattern(prefix).exec(xml);
+  const stamp = parseStampFields(history ? xml.replace(history[0], '') : xml, prefix);
+  if (history && history[1]) {
+    stamp.history = Array.from(history[1].matchAll(/<rdf:li\b([^>]*?)(?:\/>|>([\s\S]*?)<\/rdf:li>)/g))
+      .map(([, attributes, body = '']) => parseStampFields(`${attributes}\n${body}`, prefix))
+      .filter((entry) => Object.keys(entry).length > 0);
+  }
+
+  return Object.keys(stamp).length > 0 ? stamp : undefined;
+}
+
+/**
+ * @returns {string} the packet without any stamp property (history included), nor the
+ * rdf:Description left empty by removing them
+ */
+const removeStampXmp = (xml) => {
+  const prefix = stampPrefix(xml);
+  if (!prefix) {
+    return xml;
+  }
+
+  const withoutHistory = xml.replace(new RegExp(historyPattern(prefix), 'g'), '');
+  const withoutProperties = Object.values(STAMP_SCHEMA).reduce((text, { property }) => {
+    return propertyPatterns(prefix, property).reduce((current, pattern) => current.replace(new RegExp(pattern, 'g'), ''), text);
+  }, withoutHistory);
+
+  const emptyAttributes = `(?:\\s+(?:rdf:about|xmlns:${prefix})\\s*=\\s*(["'])[^"']*\\1)*\\s*`;
+  return withoutProperties
+    .replace(new RegExp(`\\s*<rdf:Description${emptyAttributes}/>`, 'g'), '')
+    .replace(new RegExp(`\\s*<rdf:Description${emptyAttributes}>\\s*</rdf:Description>`, 'g'), '');
+}
+
+/**
+ * @param {string | undefined} xml the current packet, if any
+ * @param {{padding?: number, writable?: boolean}} packet how a new packet is
+ * written, see serializeStampXmp
+ * @returns {string} the packet with `stamp` in place of the current stamp,
+ * every other property kept
+ */
+const updateStampXmp = (xml, stamp, packet) => {
+  if (!xml) {
+    return serializeStampXmp(stamp, packet);
+  }
+
+  const text = removeStampXmp(xml);
+  const index = text.lastIndexOf('</rdf:RDF>');
+  if (index === -1) {
+    throw new Error('Invalid xmp packet: no </rdf:RDF>');
+  }
+  // After the last property, before the whitespace closing rdf:RDF, which
+  // removeStampXmp takes out again with the stamp
+  const end = text.slice(0, index).replace(/\s*$/, '').length;
+  return `${text.slice(0, end)}\n\n${stampDescription(stamp)}${text.slice(end)}`;
+}
+
+/**
+ * readStamp / writeStamp / clearStamp of a format whose xmp packet is read and
+ * written in JS by its `readXmp` / `writeXmp` / `removeXmp`.
+ *
+ * clearStamp undoes writeStamp: a packet left without any property is removed,
+ * as writeStamp added it
+ *
+ * @param {{padding?: number, writable?: boolean}} packet how a new packet is
+ * written, see serializeStampXmp
+ */
+const xmpStampAccessors = ({ readXmp, writeXmp, removeXmp }, packet) => ({
+  readStamp: async (buffer) => {
+    const xml = readXmp(buffer);
+    return xml ? parseStampXmp(xml) : undefined;
+  },
+  writeStamp: async (buffer, stamp) => writeXmp(buffer, updateStampXmp(readXmp(buffer), stamp, packet)),
+  clearStamp: async (buffer) => {
+    const xml = readXmp(buffer);
+    const rest = xml && removeStampXmp(xml);
+    if (rest === xml) {
+      return buffer;
+    }
+    return /<rdf:Description\b/.test(rest) ? writeXmp(buffer, rest) : removeXmp(buffer);
+  },
+});
+
+module.exports = {
+  escapeXml,
+  serializeStampXmp,
+  parseStampXmp,
+  removeStampXmp,
+  updateStampXmp,
+  xmpStampAccessors,
+};
@@ -0,0 +1,12 @@
+/**
+ * Regenerate exiftoolHome/.ExifTool_config from lib/schema.js
+ */
+const fs = require('fs');
+const path = require('path');
+
+const { generateExifToolConfig } = require('../lib/schema');
+
+const configPath = path.join(__dirname, '..', 'exiftoolHome', '.ExifTool_config');
+
+fs.writeFileSync(configPath, generateExifToolConfig());
+console.log(`Wrote ${configPath}`);